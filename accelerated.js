@@ -0,0 +1,31 @@
+// ==========================
+//  ACCELERATED ROUND
+// ==========================
+// Unsold players come back once after the main pool, on a shorter clock and optionally cheaper.
+
+// [min, max] of the host's choices
+const ACCELERATED_TIMER_BOUNDS = [3, 10];
+const ACCELERATED_PRICE_FACTOR_BOUNDS = [0.25, 1];
+// Fast enough to feel accelerated; the clock is also kept under the room's normal bid timer
+const DEFAULT_ACCELERATED_TIMER = 5;
+
+const clamp = (value, [min, max]) => Math.max(min, Math.min(max, value));
+
+function getDefaultAcceleratedTimer(bidTimer) {
+    return clamp(Math.min(DEFAULT_ACCELERATED_TIMER, bidTimer - 1), ACCELERATED_TIMER_BOUNDS);
+}
+
+// The host's clock and base-price factor, clamped; anything missing or unreadable takes the default
+function getAcceleratedSettings(config, timer, priceFactor) {
+    return {
+        timer: Math.round(clamp(parseFloat(timer) || getDefaultAcceleratedTimer(config.bidTimer), ACCELERATED_TIMER_BOUNDS)),
+        priceFactor: clamp(parseFloat(priceFactor) || 1, ACCELERATED_PRICE_FACTOR_BOUNDS)
+    };
+}
+
+module.exports = {
+    ACCELERATED_TIMER_BOUNDS,
+    ACCELERATED_PRICE_FACTOR_BOUNDS,
+    getDefaultAcceleratedTimer,
+    getAcceleratedSettings
+};
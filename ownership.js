@@ -0,0 +1,44 @@
+// ==========================
+//  ROOM OWNERSHIP ACROSS INSTANCES (REDIS LEASES)
+// ==========================
+// Exactly one instance drives a room's clock. It holds a lease key that expires unless renewed,
+// so when an instance dies its rooms become free and another instance takes them over.
+
+const OWNER_KEY_PREFIX = "cricket_auction_owner:";
+
+// Take a free lease, or extend it if this instance already holds it
+const CLAIM_SCRIPT = `local owner = redis.call("GET", KEYS[1])
+if owner == ARGV[1] then return redis.call("PEXPIRE", KEYS[1], ARGV[2]) end
+if owner then return 0 end
+redis.call("SET", KEYS[1], ARGV[1], "PX", ARGV[2])
+return 1`;
+
+// Renew and release only ever touch a lease this instance still holds
+const RENEW_SCRIPT = `if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("PEXPIRE", KEYS[1], ARGV[2]) end
+return 0`;
+const RELEASE_SCRIPT = `if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("DEL", KEYS[1]) end
+return 0`;
+
+const LEASE_SCRIPTS = { claim: CLAIM_SCRIPT, renew: RENEW_SCRIPT, release: RELEASE_SCRIPT };
+
+function createRoomLeases(redis, instanceId, leaseMs) {
+    const keyFor = roomId => OWNER_KEY_PREFIX + roomId;
+    redis.defineCommand("claimRoomLease", { numberOfKeys: 1, lua: CLAIM_SCRIPT });
+    redis.defineCommand("renewRoomLease", { numberOfKeys: 1, lua: RENEW_SCRIPT });
+    redis.defineCommand("releaseRoomLease", { numberOfKeys: 1, lua: RELEASE_SCRIPT });
+
+    return {
+        instanceId,
+        claim: async roomId => (await redis.claimRoomLease(keyFor(roomId), instanceId, leaseMs)) === 1,
+        renew: async roomId => (await redis.renewRoomLease(keyFor(roomId), instanceId, leaseMs)) === 1,
+        release: async roomId => (await redis.releaseRoomLease(keyFor(roomId), instanceId)) === 1,
+        // Instance id of the current owner, or null when the room is up for grabs
+        ownerOf: roomId => redis.get(keyFor(roomId))
+    };
+}
+
+module.exports = {
+    OWNER_KEY_PREFIX,
+    LEASE_SCRIPTS,
+    createRoomLeases
+};
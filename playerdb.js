@@ -0,0 +1,227 @@
+// ==========================
+//  CUSTOM PLAYER DATABASES (PARSE + VALIDATE)
+// ==========================
+
+const MAX_PLAYERS = 1000;
+const MAX_SOURCE_LENGTH = 500000;
+const MAX_NAME_LENGTH = 50;
+const PLAYER_ID_PATTERN = /^[\w-]{1,100}$/;
+// Ids key plain objects (proxy bids, nominations), so names that reach Object.prototype are refused
+const RESERVED_IDS = ["__proto__", "constructor", "prototype"];
+const SKILL_RANGE = [0, 100];
+const BASE_PRICE_RANGE = [0.05, 20];
+const DEFAULT_BASE_PRICE = 0.2;
+
+// Canonical values with the spellings people actually type, all compared lower-case
+const ROLES = {
+    "Batsman": ["batsman", "batter", "bat"],
+    "Bowler": ["bowler", "bowl"],
+    "All-Rounder": ["all-rounder", "all rounder", "allrounder", "ar"],
+    "Wicketkeeper": ["wicketkeeper", "wicket keeper", "wicket-keeper", "keeper", "wk"]
+};
+const COUNTRIES = {
+    "India": ["india", "domestic", "local"],
+    "Overseas": ["overseas", "foreign", "international"]
+};
+const STATUSES = {
+    "Capped": ["capped"],
+    "Uncapped": ["uncapped"]
+};
+const BATTING_POSITIONS = {
+    "opener": ["opener", "opening", "top", "top order"],
+    "middle": ["middle", "middle order", "middle-order"],
+    "finisher": ["finisher", "lower middle", "lower-middle"],
+    "tail": ["tail", "tailender", "tail-ender", "lower order", "lower-order"]
+};
+const BATTING_HANDS = {
+    "right": ["right", "r", "rhb", "right-handed", "right handed"],
+    "left": ["left", "l", "lhb", "left-handed", "left handed"]
+};
+const BOWLING_TYPES = {
+    "pace": ["pace", "fast", "seam", "medium", "medium pace", "medium-fast", "fast-medium"],
+    "spin": ["spin", "spinner", "off spin", "off-spin", "leg spin", "leg-spin", "left-arm spin", "orthodox", "wrist spin"]
+};
+// Written for players who do not bowl
+const NO_BOWLING = ["none", "-", "n/a", "na"];
+
+// CSV headers that mean the same field
+const HEADER_ALIASES = {
+    id: "id", name: "name", role: "role", country: "country", status: "status",
+    bat: "bat", batting: "bat", bowl: "bowl", bowling: "bowl", field: "field", fielding: "field",
+    baseprice: "basePrice", base_price: "basePrice", "base price": "basePrice", price: "basePrice",
+    img: "img", image: "img", marquee: "marquee",
+    battingposition: "battingPosition", batting_position: "battingPosition", "batting position": "battingPosition", position: "battingPosition",
+    battinghand: "battingHand", batting_hand: "battingHand", "batting hand": "battingHand", hand: "battingHand",
+    bowlingtype: "bowlingType", bowling_type: "bowlingType", "bowling type": "bowlingType", bowling_style: "bowlingType"
+};
+
+function matchOption(options, value) {
+    const text = String(value).trim().toLowerCase();
+    return Object.keys(options).find(key => options[key].includes(text)) || null;
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === "";
+}
+
+// RFC 4180-style: quoted fields may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+    const rows = [];
+    let row = [], field = "", quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ",") {
+            row.push(field); field = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            row.push(field); rows.push(row);
+            row = []; field = "";
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== "" || row.length > 0) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(cell => cell.trim() !== ""));
+}
+
+// Header row first; unknown columns are ignored rather than rejected
+function csvToRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return { records: [], errors: [{ row: 0, field: null, message: "The CSV is empty" }] };
+    const fields = header.map(h => HEADER_ALIASES[h.trim().toLowerCase()] || null);
+    if (!fields.includes("name")) return { records: [], errors: [{ row: 0, field: "name", message: "The CSV header needs a name column" }] };
+    const records = rows.map(cells => fields.reduce((record, key, i) => {
+        if (key) record[key] = cells[i];
+        return record;
+    }, {}));
+    return { records, errors: [] };
+}
+
+function jsonToRecords(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { records: [], errors: [{ row: 0, field: null, message: `Invalid JSON: ${e.message}` }] };
+    }
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.players) ? data.players : null);
+    if (!list) return { records: [], errors: [{ row: 0, field: null, message: "Expected an array of players or { \"players\": [...] }" }] };
+    return { records: list, errors: [] };
+}
+
+function validateNumber(value, field, [min, max], integer, errors, row) {
+    const number = Number(value);
+    if (isBlank(value) || isNaN(number)) {
+        errors.push({ row, field, message: `${field} must be a number` });
+        return null;
+    }
+    if (integer && !Number.isInteger(number)) errors.push({ row, field, message: `${field} must be a whole number` });
+    else if (number < min || number > max) errors.push({ row, field, message: `${field} must be between ${min} and ${max}` });
+    return number;
+}
+
+function validateChoice(value, field, options, fallback, errors, row) {
+    if (isBlank(value)) {
+        if (fallback) return fallback;
+        errors.push({ row, field, message: `${field} is required` });
+        return null;
+    }
+    const match = matchOption(options, value);
+    if (!match) errors.push({ row, field, message: `${field} "${String(value).trim()}" must be one of ${Object.keys(options).join(", ")}` });
+    return match;
+}
+
+// Ids end up in HTML attributes and socket payloads, so only plain word characters are allowed
+function validateId(value, errors, row) {
+    if (isBlank(value)) return null;
+    const id = String(value).trim();
+    if (!PLAYER_ID_PATTERN.test(id)) errors.push({ row, field: "id", message: "id must be 1-100 letters, digits, _ or -" });
+    else if (RESERVED_IDS.includes(id)) errors.push({ row, field: "id", message: `"${id}" cannot be used as an id` });
+    return id;
+}
+
+/**
+ * Checks one record against the schema. Row numbers count data rows from 1, so they match
+ * the line after the header in a CSV and the array position (plus one) in JSON.
+ */
+function validateRecord(record, row, errors) {
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+        errors.push({ row, field: null, message: "Each player must be an object" });
+        return null;
+    }
+    const before = errors.length;
+    const name = isBlank(record.name) ? "" : String(record.name).trim().replace(/[<>]/g, "");
+    if (!name) errors.push({ row, field: "name", message: "name is required" });
+    else if (name.length > MAX_NAME_LENGTH) errors.push({ row, field: "name", message: `name must be at most ${MAX_NAME_LENGTH} characters` });
+
+    const player = {
+        id: validateId(record.id, errors, row),
+        name,
+        role: validateChoice(record.role, "role", ROLES, null, errors, row),
+        country: validateChoice(record.country, "country", COUNTRIES, "India", errors, row),
+        status: validateChoice(record.status, "status", STATUSES, "Uncapped", errors, row),
+        bat: validateNumber(record.bat, "bat", SKILL_RANGE, true, errors, row),
+        bowl: validateNumber(record.bowl, "bowl", SKILL_RANGE, true, errors, row),
+        field: validateNumber(record.field, "field", SKILL_RANGE, true, errors, row),
+        basePrice: isBlank(record.basePrice) ? DEFAULT_BASE_PRICE : validateNumber(record.basePrice, "basePrice", BASE_PRICE_RANGE, false, errors, row)
+    };
+    // The profile is optional; scoring only rewards what a row fills in
+    if (!isBlank(record.battingPosition)) player.battingPosition = validateChoice(record.battingPosition, "battingPosition", BATTING_POSITIONS, null, errors, row);
+    if (!isBlank(record.battingHand)) player.battingHand = validateChoice(record.battingHand, "battingHand", BATTING_HANDS, null, errors, row);
+    if (!isBlank(record.bowlingType) && !NO_BOWLING.includes(String(record.bowlingType).trim().toLowerCase())) {
+        player.bowlingType = validateChoice(record.bowlingType, "bowlingType", BOWLING_TYPES, null, errors, row);
+    }
+    if (!isBlank(record.img)) {
+        const img = String(record.img).trim();
+        if (/^https?:\/\/\S+$/.test(img)) player.img = img;
+        else errors.push({ row, field: "img", message: "img must be an http(s) URL" });
+    }
+    if (record.marquee === true || String(record.marquee).trim().toLowerCase() === "true") player.marquee = true;
+    return errors.length === before ? player : null;
+}
+
+/**
+ * Parses and validates a pasted or uploaded player list. format is "json", "csv" or omitted
+ * to detect from the text. Returns { players, errors }; any error means the list is rejected.
+ */
+function parsePlayerDatabase(text, format) {
+    if (typeof text !== "string" || text.trim() === "") return { players: [], errors: [{ row: 0, field: null, message: "The player list is empty" }] };
+    if (text.length > MAX_SOURCE_LENGTH) return { players: [], errors: [{ row: 0, field: null, message: `The player list is larger than ${MAX_SOURCE_LENGTH / 1000} KB` }] };
+
+    const isJson = format ? format === "json" : /^[[{]/.test(text.trim());
+    const { records, errors } = isJson ? jsonToRecords(text) : csvToRecords(text);
+    if (errors.length) return { players: [], errors };
+    if (records.length === 0) return { players: [], errors: [{ row: 0, field: null, message: "The player list has no players" }] };
+    if (records.length > MAX_PLAYERS) return { players: [], errors: [{ row: 0, field: null, message: `At most ${MAX_PLAYERS} players` }] };
+
+    const players = records.map((record, i) => validateRecord(record, i + 1, errors));
+    const seenIds = new Map();
+    players.forEach((p, i) => {
+        if (!p || !p.id) return;
+        if (seenIds.has(p.id)) errors.push({ row: i + 1, field: "id", message: `id "${p.id}" is already used on row ${seenIds.get(p.id)}` });
+        else seenIds.set(p.id, i + 1);
+    });
+    if (errors.length) return { players: [], errors };
+
+    // Rows without an id get one from their position, stepping around any id a row chose itself
+    return {
+        players: players.map((p, i) => {
+            let id = p.id || `custom_${i + 1}`;
+            while (!p.id && seenIds.has(id)) id += "_";
+            return { ...p, id };
+        }),
+        errors: []
+    };
+}
+
+module.exports = {
+    MAX_PLAYERS,
+    parseCsv,
+    parsePlayerDatabase
+};
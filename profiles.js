@@ -0,0 +1,237 @@
+// ==========================
+//  PROFILES, MATCH HISTORY AND LEADERBOARD
+// ==========================
+// A profile outlives every room it plays in: each finished game is added to its history and to
+// running totals, so stats stay all-time even though only the latest games are kept in full.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PROFILE_KEY_PREFIX = "cricket_auction_profile:";
+const FRANCHISES = ["CSK", "DC", "GT", "KKR", "LSG", "MI", "PBKS", "RCB", "RR", "SRH"];
+const MAX_HISTORY = 50;
+const MAX_DISPLAY_NAME = 30;
+const SCAN_BATCH = 100;
+// Times a Redis update is retried when another instance wrote the same profile in between
+const MAX_UPDATE_ATTEMPTS = 10;
+// Win rate, average score and value only rank profiles with this many games behind them
+const MIN_GAMES_FOR_RATES = 3;
+
+function emptyTotals() {
+    return { games: 0, wins: 0, rankTotal: 0, scoreTotal: 0, bestScore: 0, spent: 0, ratingPoints: 0 };
+}
+
+function createProfile(id, now = Date.now()) {
+    return { id, displayName: "", favouriteTeam: null, createdAt: now, updatedAt: now, totals: emptyTotals(), history: [] };
+}
+
+// Only the fields a user may change; anything else in input is ignored
+function updateProfileDetails(profile, input) {
+    const source = (input && typeof input === 'object') ? input : {};
+    if (typeof source.displayName === 'string') profile.displayName = source.displayName.trim().slice(0, MAX_DISPLAY_NAME).replace(/[<>]/g, '');
+    if (source.favouriteTeam === null || FRANCHISES.includes(source.favouriteTeam)) profile.favouriteTeam = source.favouriteTeam;
+    profile.updatedAt = Date.now();
+    return profile;
+}
+
+/**
+ * Adds one finished game: { roomId, finishedAt, rank, teams, teamName, score, spent, ratingPoints, squad }.
+ * A room is only counted once, so replaying a result cannot inflate the totals. false if it was.
+ */
+function recordGame(profile, game) {
+    if (profile.history.some(g => g.roomId === game.roomId)) return false;
+    const totals = profile.totals;
+    totals.games++;
+    if (game.rank === 1) totals.wins++;
+    totals.rankTotal += game.rank;
+    totals.scoreTotal += game.score;
+    totals.bestScore = Math.max(totals.bestScore, game.score);
+    totals.spent = parseFloat((totals.spent + game.spent).toFixed(2));
+    totals.ratingPoints += game.ratingPoints;
+    profile.history = [game, ...profile.history].slice(0, MAX_HISTORY);
+    profile.updatedAt = Date.now();
+    return true;
+}
+
+const round = (value, decimals) => parseFloat(value.toFixed(decimals));
+
+// spendPerRatingPoint is ₹ Cr paid per point of player rating bought; lower is better value
+function getProfileStats(profile) {
+    const t = profile.totals;
+    return {
+        games: t.games,
+        wins: t.wins,
+        winRate: t.games ? round(t.wins / t.games, 3) : 0,
+        averageRank: t.games ? round(t.rankTotal / t.games, 2) : null,
+        averageScore: t.games ? round(t.scoreTotal / t.games, 1) : null,
+        bestScore: t.bestScore,
+        totalSpent: t.spent,
+        spendPerRatingPoint: t.ratingPoints ? round(t.spent / t.ratingPoints, 4) : null
+    };
+}
+
+// What anyone may see of a profile; history is left to the caller
+function getPublicProfile(profile) {
+    return { id: profile.id, displayName: profile.displayName, favouriteTeam: profile.favouriteTeam, createdAt: profile.createdAt, stats: getProfileStats(profile) };
+}
+
+// key -> [comparator, whether a profile needs MIN_GAMES_FOR_RATES games to be ranked]
+const LEADERBOARD_SORTS = {
+    wins: [(a, b) => b.wins - a.wins || b.winRate - a.winRate || b.games - a.games, false],
+    winRate: [(a, b) => b.winRate - a.winRate || b.wins - a.wins, true],
+    averageScore: [(a, b) => b.averageScore - a.averageScore || b.games - a.games, true],
+    value: [(a, b) => a.spendPerRatingPoint - b.spendPerRatingPoint || b.games - a.games, true]
+};
+
+function buildLeaderboard(profiles, sort = "wins", limit = 20) {
+    // Own keys only, so "constructor" or "__proto__" fall back to wins like any other unknown sort
+    const [compare, needsGames] = Object.hasOwn(LEADERBOARD_SORTS, sort) ? LEADERBOARD_SORTS[sort] : LEADERBOARD_SORTS.wins;
+    return profiles
+        .filter(p => p.totals.games > 0 && (!needsGames || p.totals.games >= MIN_GAMES_FOR_RATES))
+        .map(p => ({ profileId: p.id, displayName: p.displayName || "Anonymous", favouriteTeam: p.favouriteTeam, ...getProfileStats(p) }))
+        .filter(row => sort !== "value" || row.spendPerRatingPoint !== null)
+        .sort(compare)
+        .slice(0, limit)
+        .map((row, index) => ({ position: index + 1, ...row }));
+}
+
+// --- STORES ---
+// Profiles never expire, unlike rooms. update(profileId, change) loads the profile (or a new one),
+// lets change edit it in place and saves it unless change returns false; it resolves to the profile.
+
+function parseProfile(label, value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        console.error(`Skipping unreadable profile ${label}`, e.message);
+        return null;
+    }
+}
+
+function createRedisProfileStore(redis) {
+    const keyFor = profileId => PROFILE_KEY_PREFIX + profileId;
+
+    async function loadAll() {
+        const keys = [];
+        await new Promise((resolve, reject) => {
+            const stream = redis.scanStream({ match: PROFILE_KEY_PREFIX + "*", count: SCAN_BATCH });
+            stream.on("data", batch => keys.push(...batch));
+            stream.on("end", resolve);
+            stream.on("error", reject);
+        });
+        const unique = [...new Set(keys)];
+        const profiles = [];
+        for (let i = 0; i < unique.length; i += SCAN_BATCH) {
+            const batch = unique.slice(i, i + SCAN_BATCH);
+            (await redis.mget(batch)).forEach((value, j) => {
+                const profile = parseProfile(batch[j], value);
+                if (profile) profiles.push(profile);
+            });
+        }
+        return profiles;
+    }
+
+    // Instances finishing games for the same profile must not overwrite each other, so the write
+    // only lands if the key is unchanged since it was read. WATCH belongs to a connection, hence
+    // a connection of its own for each update.
+    async function update(profileId, change) {
+        const key = keyFor(profileId);
+        const connection = redis.duplicate();
+        try {
+            for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+                await connection.watch(key);
+                const profile = parseProfile(key, await connection.get(key)) || createProfile(profileId);
+                if (change(profile) === false) {
+                    await connection.unwatch();
+                    return profile;
+                }
+                if (await connection.multi().set(key, JSON.stringify(profile)).exec()) return profile;
+            }
+            throw new Error(`Profile ${profileId} kept changing; gave up after ${MAX_UPDATE_ATTEMPTS} attempts`);
+        } finally {
+            connection.disconnect();
+        }
+    }
+
+    return {
+        loadAll,
+        load: async profileId => parseProfile(keyFor(profileId), await redis.get(keyFor(profileId))),
+        save: profile => redis.set(keyFor(profile.id), JSON.stringify(profile)),
+        update
+    };
+}
+
+// One JSON file per profile, written through a temp file like the room files
+function createFileProfileStore(dir) {
+    const fileFor = profileId => path.join(dir, `${String(profileId).replace(/[^A-Za-z0-9_-]/g, "")}.json`);
+
+    async function load(profileId) {
+        try {
+            return parseProfile(profileId, await fs.promises.readFile(fileFor(profileId), "utf-8"));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function loadAll() {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const names = (await fs.promises.readdir(dir)).filter(name => name.endsWith(".json"));
+        const profiles = await Promise.all(names.map(name => load(name.slice(0, -".json".length))));
+        return profiles.filter(Boolean);
+    }
+
+    async function save(profile) {
+        const file = fileFor(profile.id);
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(temp, JSON.stringify(profile));
+        await fs.promises.rename(temp, file);
+    }
+
+    // Only one process uses a profile directory, and the server queues updates per profile
+    async function update(profileId, change) {
+        const profile = (await load(profileId)) || createProfile(profileId);
+        if (change(profile) !== false) await save(profile);
+        return profile;
+    }
+
+    return { loadAll, load, save, update };
+}
+
+// Profile tokens are signed, so the secret has to outlive a restart along with the profiles; made on first use
+function loadOrCreateSecret(file) {
+    const read = () => fs.readFileSync(file, "utf-8").trim();
+    try {
+        return read();
+    } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const secret = crypto.randomBytes(32).toString("hex");
+    try {
+        fs.writeFileSync(file, secret, { flag: "wx", mode: 0o600 });
+        return secret;
+    } catch (e) {
+        // Another process got there first
+        if (e.code === "EEXIST") return read();
+        throw e;
+    }
+}
+
+module.exports = {
+    FRANCHISES,
+    MAX_HISTORY,
+    MIN_GAMES_FOR_RATES,
+    LEADERBOARD_SORTS,
+    createProfile,
+    updateProfileDetails,
+    recordGame,
+    getProfileStats,
+    getPublicProfile,
+    buildLeaderboard,
+    createRedisProfileStore,
+    createFileProfileStore,
+    loadOrCreateSecret
+};
@@ -0,0 +1,119 @@
+// ==========================
+//  ROOM ACCESS (CODES, VISIBILITY, PASSWORDS, CAPACITY)
+// ==========================
+// room.access is kept apart from room.config because config is broadcast to every client and
+// the password hash must never be; clients only ever see getAccessSummary.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+// scrypt takes tens of milliseconds, so it runs on the thread pool rather than stalling every room's timers
+const scrypt = promisify(crypto.scrypt);
+
+const ROOM_CODE_LENGTH = 6;
+// No 0/O or 1/I, so a code read out loud or copied off a screen is typed right
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const VISIBILITIES = ["private", "public"];
+const MAX_TEAMS_BOUNDS = [2, 20];
+const MAX_PASSWORD_LENGTH = 64;
+const PASSWORD_KEY_LENGTH = 32;
+
+// password is null or { salt, hash } (scrypt); private rooms are only reachable by their code.
+// By default a room is as open as before these settings existed: any number of teams up to the cap, late joins allowed.
+const DEFAULT_ROOM_ACCESS = { visibility: "private", password: null, maxTeams: MAX_TEAMS_BOUNDS[1], lockAfterStart: false };
+
+function generateRoomCode(randomInt = crypto.randomInt) {
+    let code = "";
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) code += ROOM_CODE_ALPHABET[randomInt(ROOM_CODE_ALPHABET.length)];
+    return code;
+}
+
+async function hashRoomPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    return { salt, hash: (await scrypt(password, salt, PASSWORD_KEY_LENGTH)).toString("hex") };
+}
+
+// Resolves true when the room has no password or given matches it
+async function checkRoomPassword(stored, given) {
+    if (!stored) return true;
+    if (typeof given !== 'string' || !given) return false;
+    const hash = await scrypt(given.slice(0, MAX_PASSWORD_LENGTH), stored.salt, PASSWORD_KEY_LENGTH);
+    const expected = Buffer.from(stored.hash, "hex");
+    return hash.length === expected.length && crypto.timingSafeEqual(hash, expected);
+}
+
+/**
+ * Merges host input over the current settings. A password of undefined keeps the current one,
+ * an empty string removes it, and anything else replaces it.
+ */
+async function sanitizeRoomAccess(input, current = DEFAULT_ROOM_ACCESS) {
+    const access = { ...DEFAULT_ROOM_ACCESS, ...current };
+    const source = (input && typeof input === 'object') ? input : {};
+
+    if (VISIBILITIES.includes(source.visibility)) access.visibility = source.visibility;
+    const maxTeams = parseInt(source.maxTeams, 10);
+    if (!isNaN(maxTeams)) access.maxTeams = Math.max(MAX_TEAMS_BOUNDS[0], Math.min(MAX_TEAMS_BOUNDS[1], maxTeams));
+    if (source.lockAfterStart !== undefined) access.lockAfterStart = source.lockAfterStart === true || source.lockAfterStart === "true";
+    if (typeof source.password === 'string') {
+        const password = source.password.slice(0, MAX_PASSWORD_LENGTH);
+        access.password = password ? await hashRoomPassword(password) : null;
+    }
+    return access;
+}
+
+function getAccessSummary(access) {
+    return { visibility: access.visibility, hasPassword: !!access.password, maxTeams: access.maxTeams, lockAfterStart: access.lockAfterStart };
+}
+
+/**
+ * Why a new team may not join: "locked" or "full", otherwise null. The password is checked on
+ * its own with checkRoomPassword. Teams already in the room are never asked; they come back
+ * with their session token.
+ */
+function getJoinRefusal(access, { teamCount, started }) {
+    if (access.lockAfterStart && started) return "locked";
+    if (teamCount >= access.maxTeams) return "full";
+    return null;
+}
+
+/**
+ * Counts wrong passwords per key (a socket, an IP address or a room) in fixed windows. A key at
+ * its limit is refused without checking the password, which stops guessing and the scrypt work
+ * every guess costs.
+ */
+function createAttemptLimiter({ max, windowMs }, now = Date.now) {
+    const failures = new Map();
+
+    function current(key) {
+        const entry = failures.get(key);
+        if (entry && now() - entry.since >= windowMs) {
+            failures.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    return {
+        isBlocked: key => { const entry = current(key); return !!entry && entry.count >= max; },
+        fail(key) {
+            const entry = current(key);
+            if (entry) entry.count++;
+            else failures.set(key, { count: 1, since: now() });
+        },
+        // Drops finished windows so keys of sockets long gone do not pile up
+        sweep: () => [...failures.keys()].forEach(current)
+    };
+}
+
+module.exports = {
+    ROOM_CODE_LENGTH,
+    ROOM_CODE_ALPHABET,
+    MAX_TEAMS_BOUNDS,
+    DEFAULT_ROOM_ACCESS,
+    generateRoomCode,
+    checkRoomPassword,
+    sanitizeRoomAccess,
+    getAccessSummary,
+    getJoinRefusal,
+    createAttemptLimiter
+};
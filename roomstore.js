@@ -0,0 +1,174 @@
+// ==========================
+//  ROOM PERSISTENCE (ONE RECORD PER ROOM, REDIS OR FILES)
+// ==========================
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOM_KEY_PREFIX = "cricket_auction_room:";
+// Before per-room keys every room lived in this one blob; it is migrated on first load
+const LEGACY_ROOMS_KEY = "cricket_auction_rooms";
+const SCHEMA_VERSION = 2;
+const MGET_BATCH = 100;
+
+// Live handles that only mean something inside this process; every other field on a room is saved
+const RUNTIME_ROOM_FIELDS = ["nextPlayerTimeout", "rtmTimeout", "botTimeout"];
+const RUNTIME_AUCTION_FIELDS = ["timer", "deadline"];
+
+function omit(source, keys) {
+    const copy = { ...source };
+    keys.forEach(key => delete copy[key]);
+    return copy;
+}
+
+/**
+ * Plain-JSON copy of a room. The running lot clock is stored as timeLeft (the deadline is
+ * wall-clock and means nothing after a restart) and skippedBy goes from a Set to an array.
+ */
+function serializeRoom(room, timeLeft) {
+    const auction = omit(room.auction, RUNTIME_AUCTION_FIELDS);
+    auction.skippedBy = Array.from(room.auction.skippedBy || []);
+    auction.timeLeft = timeLeft;
+    return { ...omit(room, RUNTIME_ROOM_FIELDS), auction, schemaVersion: SCHEMA_VERSION };
+}
+
+// The inverse of serializeRoom for the fields it changed; defaults for older records are the caller's job
+function deserializeRoom(data) {
+    const room = { ...data };
+    room.auction = { ...data.auction, skippedBy: new Set(Array.isArray(data.auction && data.auction.skippedBy) ? data.auction.skippedBy : []), timer: null };
+    RUNTIME_ROOM_FIELDS.forEach(key => { room[key] = null; });
+    return room;
+}
+
+// Every room is its own key with its own TTL, so a busy room never keeps stale ones alive
+function createRedisStore(redis, ttlSeconds) {
+    const keyFor = roomId => ROOM_KEY_PREFIX + roomId;
+
+    async function save(roomId, data) {
+        await redis.set(keyFor(roomId), JSON.stringify(data), "EX", ttlSeconds);
+    }
+
+    async function listRoomIds() {
+        const keys = [];
+        await new Promise((resolve, reject) => {
+            const stream = redis.scanStream({ match: ROOM_KEY_PREFIX + "*", count: MGET_BATCH });
+            stream.on("data", batch => keys.push(...batch));
+            stream.on("end", resolve);
+            stream.on("error", reject);
+        });
+        return [...new Set(keys)].map(key => key.slice(ROOM_KEY_PREFIX.length));
+    }
+
+    function parseRecord(roomId, value) {
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            console.error(`Skipping unreadable room record ${keyFor(roomId)}`, e.message);
+            return null;
+        }
+    }
+
+    // Split the old blob into per-room keys, then drop it; a room already on its own key wins
+    async function migrateLegacyRooms(existing = new Set()) {
+        const legacy = await redis.get(LEGACY_ROOMS_KEY);
+        if (!legacy) return {};
+        const legacyRooms = JSON.parse(legacy);
+        const migrated = {};
+        for (const roomId of Object.keys(legacyRooms)) {
+            if (existing.has(roomId)) continue;
+            migrated[roomId] = legacyRooms[roomId];
+            await save(roomId, legacyRooms[roomId]);
+        }
+        await redis.del(LEGACY_ROOMS_KEY);
+        return migrated;
+    }
+
+    async function loadAll() {
+        const roomIds = await listRoomIds();
+        const loaded = {};
+        for (let i = 0; i < roomIds.length; i += MGET_BATCH) {
+            const batch = roomIds.slice(i, i + MGET_BATCH);
+            const values = await redis.mget(batch.map(keyFor));
+            values.forEach((value, j) => {
+                const data = parseRecord(batch[j], value);
+                if (data) loaded[batch[j]] = data;
+            });
+        }
+        return { ...loaded, ...(await migrateLegacyRooms(new Set(Object.keys(loaded)))) };
+    }
+
+    return {
+        name: "Redis",
+        loadAll,
+        load: async roomId => parseRecord(roomId, await redis.get(keyFor(roomId))),
+        listRoomIds,
+        migrateLegacyRooms,
+        save,
+        remove: roomId => redis.del(keyFor(roomId))
+    };
+}
+
+/**
+ * Local fallback: one JSON file per room in dir. Writes go to a temp file that is then renamed
+ * over the old one, so a crash mid-write leaves the previous save intact. Files untouched for
+ * longer than the TTL are treated as expired, like the Redis keys.
+ */
+function createFileStore(dir, ttlSeconds) {
+    const fileFor = roomId => path.join(dir, `${String(roomId).replace(/[^A-Za-z0-9_-]/g, "")}.json`);
+
+    async function loadAll() {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const loaded = {};
+        const now = Date.now();
+        for (const name of await fs.promises.readdir(dir)) {
+            if (!name.endsWith(".json")) continue;
+            const file = path.join(dir, name);
+            try {
+                const stat = await fs.promises.stat(file);
+                if (now - stat.mtimeMs > ttlSeconds * 1000) {
+                    await fs.promises.rm(file, { force: true });
+                    continue;
+                }
+                loaded[name.slice(0, -".json".length)] = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+            } catch (e) {
+                console.error(`Skipping unreadable room file ${file}`, e.message);
+            }
+        }
+        return loaded;
+    }
+
+    async function load(roomId) {
+        try {
+            return JSON.parse(await fs.promises.readFile(fileFor(roomId), "utf-8"));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function save(roomId, data) {
+        const file = fileFor(roomId);
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(temp, JSON.stringify(data));
+        await fs.promises.rename(temp, file);
+    }
+
+    return {
+        name: `files in ${dir}`,
+        loadAll,
+        load,
+        save,
+        remove: roomId => fs.promises.rm(fileFor(roomId), { force: true })
+    };
+}
+
+module.exports = {
+    ROOM_KEY_PREFIX,
+    LEGACY_ROOMS_KEY,
+    SCHEMA_VERSION,
+    serializeRoom,
+    deserializeRoom,
+    createRedisStore,
+    createFileStore
+};
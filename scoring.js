@@ -0,0 +1,196 @@
+// ==========================
+//  PLAYING XI SCORING (PURE RULES)
+// ==========================
+
+const CAPTAIN_MULTIPLIER = 2;
+const VICE_CAPTAIN_MULTIPLIER = 1.5;
+const CAPTAIN_BONUS_SHARE = 0.10;
+const VICE_CAPTAIN_BONUS_SHARE = 0.05;
+
+// Team balance: what a sensible XI looks like and what falling short costs
+const MAX_WICKETKEEPERS = 2;
+const EXTRA_WICKETKEEPER_PENALTY = 20;
+const MIN_BOWLING_OPTIONS = 5;
+const MISSING_BOWLING_OPTION_PENALTY = 25;
+const MIN_SPECIALIST_BATTERS = 3;
+const MISSING_BATTER_PENALTY = 15;
+
+// Shape of the XI: rewarded only for players whose profile says so, so older player data is never penalised
+const MIN_OPENERS = 2;
+const OPENING_PAIR_BONUS = 10;
+const FINISHER_BONUS = 5;
+const MIN_EACH_BOWLING_TYPE = 2;
+const BOWLING_MIX_BONUS = 10;
+const MIN_EACH_BATTING_HAND = 2;
+const BATTING_HAND_MIX_BONUS = 8;
+
+// Pitch conditions: bowling options of the favoured type gain, the other type loses a little
+const VENUES = ["neutral", "spin", "pace"];
+const VENUE_MATCH_BONUS = 4;
+const VENUE_MISMATCH_PENALTY = 2;
+
+function roundScore(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// "WK" | "BAT" | "BOWL" | "AR" | null
+function getRoleGroup(role) {
+    const r = (role || "").toLowerCase();
+    if (r.includes("wicket") || r === "wk") return "WK";
+    if (r === "batsman" || r === "bat") return "BAT";
+    if (r === "bowler" || r === "bowl") return "BOWL";
+    if (r.includes("all") || r === "ar") return "AR";
+    return null;
+}
+
+/**
+ * Value for money: stars bought near base price gain a little, overpaid stars lose some,
+ * and bargains (under 3x base) gain. Never below zero.
+ */
+function getEffectiveRating(player) {
+    const factor = player.soldPrice / player.basePrice;
+    const rating = player.rating;
+    let finalRating = rating;
+    if (rating > 91 && factor <= 6) finalRating = rating + 2;
+    // The chain below can override the +2 above; a 92+ star under 6x ends on +5
+    if (rating > 91 && factor >= 9) finalRating = rating - 5;
+    else if (rating > 88 && factor >= 8) finalRating = rating - 5;
+    else if (rating > 88 && factor < 6) finalRating = rating + 5;
+    else if (factor < 3) finalRating = rating + 5;
+    return Math.max(0, finalRating);
+}
+
+// Every player outside the leadership pair gets this added on top of their own rating
+function getLeadershipBonus(captainRating, viceCaptainRating) {
+    return captainRating * CAPTAIN_BONUS_SHARE + viceCaptainRating * VICE_CAPTAIN_BONUS_SHARE;
+}
+
+function countRoles(players) {
+    const roles = { WK: 0, BAT: 0, BOWL: 0, AR: 0 };
+    players.forEach(p => {
+        const group = getRoleGroup(p.role);
+        if (group) roles[group]++;
+    });
+    return roles;
+}
+
+function isBowlingOption(player) {
+    const group = getRoleGroup(player.role);
+    return group === "BOWL" || group === "AR";
+}
+
+/**
+ * Bonuses for a well-built XI: an opening pair, a finisher, at least two pacers and two spinners
+ * among the bowling options, and at least two left- and two right-handers in the top and middle order.
+ */
+function getCompositionBonuses(players) {
+    const bonusLog = [];
+    const count = (list, test) => list.filter(test).length;
+
+    if (count(players, p => p.battingPosition === "opener") >= MIN_OPENERS) {
+        bonusLog.push({ rule: "Opening pair", points: OPENING_PAIR_BONUS });
+    }
+    if (count(players, p => p.battingPosition === "finisher") >= 1) {
+        bonusLog.push({ rule: "Finisher", points: FINISHER_BONUS });
+    }
+    const bowlers = players.filter(isBowlingOption);
+    if (count(bowlers, p => p.bowlingType === "pace") >= MIN_EACH_BOWLING_TYPE && count(bowlers, p => p.bowlingType === "spin") >= MIN_EACH_BOWLING_TYPE) {
+        bonusLog.push({ rule: "Pace & spin mix", points: BOWLING_MIX_BONUS });
+    }
+    const batters = players.filter(p => p.battingPosition && p.battingPosition !== "tail");
+    if (count(batters, p => p.battingHand === "left") >= MIN_EACH_BATTING_HAND && count(batters, p => p.battingHand === "right") >= MIN_EACH_BATTING_HAND) {
+        bonusLog.push({ rule: "Left-right batting", points: BATTING_HAND_MIX_BONUS });
+    }
+
+    return { bonus: bonusLog.reduce((sum, b) => sum + b.points, 0), bonusLog };
+}
+
+// Points a player gains or loses from the pitch; only bowling options with a known type are affected
+function getVenueAdjustment(player, venue) {
+    if (!venue || venue === "neutral" || !player.bowlingType || !isBowlingOption(player)) return 0;
+    return player.bowlingType === venue ? VENUE_MATCH_BONUS : -VENUE_MISMATCH_PENALTY;
+}
+
+/**
+ * Penalties for an unbalanced XI: too many keepers, fewer than five bowling options
+ * (bowlers plus all-rounders) and fewer than three specialist batters.
+ */
+function getBalancePenalties(roles) {
+    const penaltyLog = [];
+
+    if (roles.WK > MAX_WICKETKEEPERS) {
+        penaltyLog.push({ rule: "Too many WKs", points: (roles.WK - MAX_WICKETKEEPERS) * EXTRA_WICKETKEEPER_PENALTY });
+    }
+    const bowlingOptions = roles.BOWL + roles.AR;
+    if (bowlingOptions < MIN_BOWLING_OPTIONS) {
+        penaltyLog.push({ rule: "Weak Bowling", points: (MIN_BOWLING_OPTIONS - bowlingOptions) * MISSING_BOWLING_OPTION_PENALTY });
+    }
+    if (roles.BAT < MIN_SPECIALIST_BATTERS) {
+        penaltyLog.push({ rule: "Weak Batting Core", points: (MIN_SPECIALIST_BATTERS - roles.BAT) * MISSING_BATTER_PENALTY });
+    }
+
+    return { penalty: penaltyLog.reduce((sum, p) => sum + p.points, 0), penaltyLog };
+}
+
+/**
+ * Scores a Playing XI. Captain and vice-captain count at 2x and 1.5x their effective rating;
+ * everyone else counts at effective rating plus the leadership bonus. The venue then adjusts each
+ * bowler, composition bonuses are added and balance penalties come off the total, which never
+ * drops below zero. Returns the full breakdown with the total.
+ */
+function scorePlayingXI(players, captainId, viceCaptainId, venue = "neutral") {
+    const captain = players.find(p => p.id === captainId);
+    const viceCaptain = players.find(p => p.id === viceCaptainId);
+    const captainRating = captain ? getEffectiveRating(captain) : 0;
+    const viceCaptainRating = viceCaptain ? getEffectiveRating(viceCaptain) : 0;
+    const leadershipBonus = getLeadershipBonus(captainRating, viceCaptainRating);
+
+    const breakdown = players.map(p => {
+        const effectiveRating = getEffectiveRating(p);
+        const entry = {
+            id: p.id, name: p.name, role: p.role, rating: p.rating, soldPrice: p.soldPrice, basePrice: p.basePrice,
+            battingPosition: p.battingPosition || null, battingHand: p.battingHand || null, bowlingType: p.bowlingType || null,
+            effectiveRating, leader: null, multiplier: 1, bonus: 0
+        };
+        if (p.id === captainId) Object.assign(entry, { leader: "C", multiplier: CAPTAIN_MULTIPLIER });
+        else if (p.id === viceCaptainId) Object.assign(entry, { leader: "VC", multiplier: VICE_CAPTAIN_MULTIPLIER });
+        else entry.bonus = roundScore(leadershipBonus);
+        entry.venueAdjustment = getVenueAdjustment(p, venue);
+        entry.points = roundScore(effectiveRating * entry.multiplier + (entry.leader ? 0 : leadershipBonus) + entry.venueAdjustment);
+        return entry;
+    });
+
+    const playerScore = breakdown.reduce(
+        (sum, entry) => (entry.leader ? sum : sum + entry.effectiveRating + leadershipBonus) + entry.venueAdjustment,
+        captainRating * CAPTAIN_MULTIPLIER + viceCaptainRating * VICE_CAPTAIN_MULTIPLIER
+    );
+
+    const roles = countRoles(players);
+    const { penalty, penaltyLog } = getBalancePenalties(roles);
+    const { bonus, bonusLog } = getCompositionBonuses(players);
+
+    return {
+        players: breakdown,
+        leadershipBonus: roundScore(leadershipBonus),
+        playerScore: roundScore(playerScore),
+        roles,
+        balancePenalty: penalty,
+        penaltyLog,
+        compositionBonus: bonus,
+        bonusLog,
+        venue,
+        totalScore: roundScore(Math.max(0, playerScore + bonus - penalty))
+    };
+}
+
+module.exports = {
+    getRoleGroup,
+    getEffectiveRating,
+    getLeadershipBonus,
+    countRoles,
+    getBalancePenalties,
+    getCompositionBonuses,
+    getVenueAdjustment,
+    scorePlayingXI,
+    VENUES
+};
@@ -0,0 +1,39 @@
+// ==========================
+//  SEALED-BID LOTS
+// ==========================
+// Every team gets one hidden bid per lot; all bids are opened together when the clock runs out.
+
+const AUCTION_FORMATS = ["open", "sealed"];
+// "first": the winner pays their own bid; "second" (Vickrey): the winner pays the runner-up's bid
+const SEALED_PRICING = ["first", "second"];
+// How equal top bids are split: first submitted, most purse left (then first submitted), or a coin toss
+const SEALED_TIE_BREAKS = ["earliest", "purse", "random"];
+
+/**
+ * Opens the bids on a lot. bids are { teamId, amount, seq, purse }, already checked against the
+ * team's purse and squad rules. Returns the bids best first, the winner (null when nobody bid)
+ * and the price: the winning bid, or in a second-price lot the next bid, or the reserve when
+ * the winner bid alone. A tie at the top always costs the tied amount.
+ */
+function resolveSealedBids(bids, { pricing, tieBreak, reserve, random = Math.random }) {
+    const draws = new Map(bids.map(bid => [bid, tieBreak === "random" ? random() : 0]));
+    const ranked = [...bids].sort((a, b) => {
+        if (b.amount !== a.amount) return b.amount - a.amount;
+        if (tieBreak === "purse" && b.purse !== a.purse) return b.purse - a.purse;
+        if (tieBreak === "random") return draws.get(a) - draws.get(b);
+        return a.seq - b.seq;
+    });
+
+    const winner = ranked[0] || null;
+    if (!winner) return { ranked, winner, price: null, tied: false };
+    const runnerUp = ranked[1];
+    const price = pricing === "second" ? (runnerUp ? runnerUp.amount : reserve) : winner.amount;
+    return { ranked, winner, price, tied: !!runnerUp && runnerUp.amount === winner.amount };
+}
+
+module.exports = {
+    AUCTION_FORMATS,
+    SEALED_PRICING,
+    SEALED_TIE_BREAKS,
+    resolveSealedBids
+};
@@ -7,7 +7,23 @@ const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
 const Redis = require("ioredis"); // NEW: Redis Library
+const { simulateMatch, getDefaultBattingOrder, OVERS_PER_INNINGS, BALLS_PER_OVER } = require("./simulator");
+const { scorePlayingXI, getRoleGroup, getEffectiveRating, VENUES } = require("./scoring");
+const { DEFAULT_ROLE_LIMITS, sanitizeRoleLimits, getSquadNeeds, checkComposition } = require("./squadrules");
+const { AUCTION_FORMATS, SEALED_PRICING, SEALED_TIE_BREAKS, resolveSealedBids } = require("./sealedbid");
+const { getDefaultAcceleratedTimer, getAcceleratedSettings } = require("./accelerated");
+const { MAX_PENDING_TRADES, checkProposal, checkTrade, describeTrade, applyTrade } = require("./trades");
+const { parsePlayerDatabase } = require("./playerdb");
+const { serializeRoom, deserializeRoom, createRedisStore, createFileStore } = require("./roomstore");
+const { createAdapter } = require("@socket.io/redis-adapter");
+const { createRoomLeases } = require("./ownership");
+const { DEFAULT_ROOM_ACCESS, generateRoomCode, checkRoomPassword, sanitizeRoomAccess, getAccessSummary, getJoinRefusal, createAttemptLimiter } = require("./roomaccess");
+const {
+    FRANCHISES, LEADERBOARD_SORTS, createProfile, updateProfileDetails, recordGame, getPublicProfile, buildLeaderboard,
+    createRedisProfileStore, createFileProfileStore, loadOrCreateSecret
+} = require("./profiles");
 
 const app = express();
 const server = http.createServer(app);
@@ -18,111 +34,437 @@ const io = new Server(server, {
 });
 
 // --- REDIS SETUP ---
-// If running locally without env var, game works but won't persist restart
+// Without REDIS_URL rooms are kept as JSON files in ROOMS_DIR instead, so local runs survive a restart too
 const redisConnection = process.env.REDIS_URL; 
+// Instances sharing rooms must accept each other's session tokens, so they cannot each make up a secret
+if (redisConnection && !process.env.SESSION_SECRET) {
+    console.error("SESSION_SECRET must be set when REDIS_URL is, and be the same on every instance.");
+    process.exit(1);
+}
 const redis = redisConnection ? new Redis(redisConnection) : null;
+const ROOM_TTL_SECONDS = 24 * 60 * 60;
+const roomStore = redis 
+    ? createRedisStore(redis, ROOM_TTL_SECONDS) 
+    : createFileStore(process.env.ROOMS_DIR || path.join(__dirname, "rooms_data"), ROOM_TTL_SECONDS);
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, "profiles_data");
+const profileStore = redis ? createRedisProfileStore(redis) : createFileProfileStore(PROFILES_DIR);
+
+// With Redis several instances can sit behind one load balancer: broadcasts go through the
+// socket.io adapter, and each room is driven by the one instance holding its lease (see ownership.js)
+const INSTANCE_ID = crypto.randomBytes(6).toString("hex");
+// ROOM_LEASE_MS only needs changing to make failover quick in tests
+const OWNER_LEASE_MS = Number(process.env.ROOM_LEASE_MS) || 15000;
+const OWNER_RENEW_MS = Math.ceil(OWNER_LEASE_MS / 3);
+const roomLeases = redis ? createRoomLeases(redis, INSTANCE_ID, OWNER_LEASE_MS) : null;
+if (redis) {
+    const pubClient = redis.duplicate();
+    const subClient = redis.duplicate();
+    [pubClient, subClient].forEach(client => client.on("error", e => console.error("Redis adapter connection error", e.message)));
+    io.adapter(createAdapter(pubClient, subClient));
+}
 
 app.use(express.static(path.join(__dirname, "public")));
 
 let rooms = {};
 let saveScheduled = false;
+// Rooms changed since the last write; a room that is no longer in `rooms` is deleted from the store
+const dirtyRooms = new Set();
+const SAVE_DEBOUNCE_MS = 1000;
+// A room nobody has touched for this long is closed and deleted
+const ROOM_IDLE_LIMIT_MS = 6 * 60 * 60 * 1000;
+const IDLE_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// --- DATA PERSISTENCE ---
+
+// Fills in fields that rooms saved by older versions did not have
+function restoreRoom(roomId, data) {
+    const room = deserializeRoom(data);
+    room.id = roomId;
+    // Rooms saved before rules were configurable only stored startingPurse
+    room.config = sanitizeRoomConfig(room.config, room.config);
+    room.access = { ...DEFAULT_ROOM_ACCESS, ...room.access };
+    if (!Array.isArray(room.auction.unsoldPlayers)) room.auction.unsoldPlayers = [];
+    if (!room.auction.nominations) room.auction.nominations = {};
+    if (!room.auction.proxyBids) room.auction.proxyBids = {};
+    if (typeof room.auction.proxySeq !== 'number') room.auction.proxySeq = 0;
+    if (!Array.isArray(room.auction.trades)) room.auction.trades = [];
+    if (typeof room.auction.tradeSeq !== 'number') room.auction.tradeSeq = 0;
+    if (!room.auction.sealedBids) room.auction.sealedBids = {};
+    if (typeof room.auction.sealedSeq !== 'number') room.auction.sealedSeq = 0;
+    if (!Array.isArray(room.auction.bidHistory)) room.auction.bidHistory = [];
+    if (!Array.isArray(room.auditLog)) room.auditLog = [];
+    if (!Array.isArray(room.eventLog)) room.eventLog = [];
+    if (!room.playerDatabase) room.playerDatabase = null;
+    if (!Array.isArray(room.kickedIds)) room.kickedIds = [];
+    if (!room.lastActivity) room.lastActivity = Date.now();
+    Object.values(room.teams).forEach(t => {
+        if (!Array.isArray(t.retentions)) t.retentions = [];
+        if (!Array.isArray(t.rtmClaims)) t.rtmClaims = [];
+        if (typeof t.rtmCards !== 'number') t.rtmCards = 0;
+    });
+    return room;
+}
 
-// --- DATA PERSISTENCE (REDIS) ---
+// Brings a saved room back to life on this instance, after a restart or when taking it over
+function resumeRoom(roomId, data) {
+    const room = restoreRoom(roomId, data);
+    // Registered first: the timers and bots below look the room up by id
+    rooms[roomId] = room;
+    const auction = room.auction;
 
-async function loadGameData() {
-    if (!redis) {
-        console.log("No Redis URL found. Running in memory-only mode (Data lost on restart).");
-        return;
+    // Restart Timers if auction was active
+    if (isBiddingPhase(auction.phase) && !auction.paused) {
+        if (auction.biddingOpen) {
+            startAuctionTimer(roomId, auction.timeLeft || getBidTimer(room));
+            scheduleBotActions(roomId);
+        } else if (!auction.rtmPending) {
+            // Stopped in the gap between two lots
+            room.nextPlayerTimeout = setTimeout(() => startNextPlayer(roomId), 3000);
+        }
     }
-    
+
+    // Resume an RTM window that was open when the server stopped
+    if (auction.rtmPending) scheduleRightToMatchTimeout(roomId);
+    return room;
+}
+
+async function loadGameData() {
     try {
-        const data = await redis.get("cricket_auction_rooms");
-        if (data) {
-            const loadedRooms = JSON.parse(data);
-            
-            // Reconstruct logic
-            Object.keys(loadedRooms).forEach(roomId => {
-                const room = loadedRooms[roomId];
-                // Convert arrays back to Sets
-                if (room.auction && Array.isArray(room.auction.skippedBy)) {
-                    room.auction.skippedBy = new Set(room.auction.skippedBy);
-                } else if (room.auction) {
-                    room.auction.skippedBy = new Set();
-                }
-                
-                // Restart Timers if auction was active
-                if (room.auction.phase === 'AUCTION' && room.auction.biddingOpen) {
-                    startAuctionTimer(roomId, room.auction.timeLeft || 10);
-                }
-                
-                rooms[roomId] = room;
-            });
-            console.log("Game state restored from Redis.");
+        // Across several instances rooms are spread out by the orphan sweep instead of all loading here
+        if (roomLeases) {
+            await roomStore.migrateLegacyRooms(new Set(await roomStore.listRoomIds()));
+            await adoptOrphanedRooms();
+            console.log(`Instance ${INSTANCE_ID} now owns ${Object.keys(rooms).length} room(s) from ${roomStore.name}.`);
+            return;
         }
+        const loadedRooms = await roomStore.loadAll();
+        Object.keys(loadedRooms).forEach(roomId => resumeRoom(roomId, loadedRooms[roomId]));
+        console.log(`Restored ${Object.keys(loadedRooms).length} room(s) from ${roomStore.name}.`);
     } catch (e) {
-        console.error("Failed to load game data from Redis", e);
+        console.error(`Failed to load game data from ${roomStore.name}`, e);
     }
 }
 
-// Save to Redis (Async)
-function saveGameData() {
-    if (saveScheduled || !redis) return;
+// Marks a room as changed and schedules a debounced write of every changed room
+function saveGameData(roomId) {
+    if (roomId) dirtyRooms.add(roomId);
+    if (saveScheduled) return;
     saveScheduled = true;
-    
-    // Debounce save to prevent flooding Redis
-    setTimeout(async () => {
+    setTimeout(flushGameData, SAVE_DEBOUNCE_MS);
+}
+
+async function flushGameData() {
+    saveScheduled = false;
+    const roomIds = [...dirtyRooms];
+    dirtyRooms.clear();
+
+    await Promise.all(roomIds.map(async roomId => {
+        const room = rooms[roomId];
         try {
-            const dataToSave = {};
-            Object.keys(rooms).forEach(roomId => {
-                const room = rooms[roomId];
-                
-                // Clean copy for storage
-                const cleanRoom = {
-                    hostId: room.hostId,
-                    config: room.config,
-                    teams: room.teams,
-                    auction: {
-                        playerPool: room.auction.playerPool,
-                        currentPlayerIndex: room.auction.currentPlayerIndex,
-                        currentBid: room.auction.currentBid,
-                        currentBidderId: room.auction.currentBidderId,
-                        biddingOpen: room.auction.biddingOpen,
-                        phase: room.auction.phase,
-                        skippedBy: Array.from(room.auction.skippedBy || []), // Set -> Array
-                        timeLeft: room.auction.timeLeft
-                    },
-                    lastActivity: room.lastActivity
-                };
-                dataToSave[roomId] = cleanRoom;
-            });
-            
-            // Save to Redis with 24h expiry (86400 seconds)
-            await redis.set("cricket_auction_rooms", JSON.stringify(dataToSave), "EX", 86400);
-            saveScheduled = false;
+            if (room) await roomStore.save(roomId, serializeRoom(room, getTimeLeft(room.auction)));
+            else {
+                await roomStore.remove(roomId);
+                // Only once the record is gone, or the orphan sweep elsewhere would bring it back
+                if (roomLeases) await roomLeases.release(roomId);
+            }
         } catch (e) {
-            console.error("Failed to save to Redis", e);
-            saveScheduled = false;
+            console.error(`Failed to save room ${roomId} to ${roomStore.name}`, e);
+            dirtyRooms.add(roomId);
         }
-    }, 1000);
+    }));
+    // Failed rooms are retried on the next tick of the debounce
+    if (dirtyRooms.size > 0) saveGameData();
+}
+
+function stopRoomTimers(room) {
+    if (room.auction.timer) clearTimeout(room.auction.timer);
+    if (room.nextPlayerTimeout) clearTimeout(room.nextPlayerTimeout);
+    if (room.rtmTimeout) clearTimeout(room.rtmTimeout);
+    if (room.botTimeout) clearTimeout(room.botTimeout);
+}
+
+// Stops every timer the room owns and drops it, from memory now and from the store on the next save
+function closeRoom(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    stopRoomTimers(room);
+    delete rooms[roomId];
+    saveGameData(roomId);
+}
+
+function closeIdleRooms() {
+    const cutoff = Date.now() - ROOM_IDLE_LIMIT_MS;
+    Object.keys(rooms).forEach(roomId => {
+        if (rooms[roomId].lastActivity >= cutoff) return;
+        io.to(roomId).emit("error-message", "This room was closed after a long period of inactivity.");
+        io.in(roomId).socketsLeave(roomId);
+        closeRoom(roomId);
+    });
 }
 
+setInterval(closeIdleRooms, IDLE_SWEEP_INTERVAL_MS).unref();
+
+// Write out pending changes before the process goes away
+["SIGINT", "SIGTERM"].forEach(signal => process.once(signal, async () => {
+    await flushGameData();
+    // Hand rooms back at once rather than making the other instances wait out the lease
+    if (roomLeases) await Promise.all(Object.keys(rooms).map(roomId => roomLeases.release(roomId).catch(() => {})));
+    process.exit(0);
+}));
+
 // Maps active socket IDs to User IDs
+// Only populated from a server-issued session token, never from client payloads
 const socketToUserMap = {}; 
 const userToSocketMap = {};
 
+// --- SESSIONS ---
+// Without SESSION_SECRET (only allowed without Redis) the secret is generated once and kept with the profiles
+const SESSION_SECRET = process.env.SESSION_SECRET || loadOrCreateSecret(path.join(PROFILES_DIR, "session-secret"));
+
+function generateUserId() {
+    return "user_" + crypto.randomBytes(12).toString("hex");
+}
+
+function signSessionPayload(payload) {
+    return crypto.createHmac("sha256", SESSION_SECRET).update(payload).digest("base64url");
+}
+
+function issueSessionToken(userId, roomId) {
+    const payload = Buffer.from(JSON.stringify({ userId, roomId })).toString("base64url");
+    return `${payload}.${signSessionPayload(payload)}`;
+}
+
+// The decoded payload of a token this server signed, otherwise null
+function readSignedToken(token) {
+    if (!token || typeof token !== 'string' || token.length > 512) return null;
+    const [payload, sig] = token.split(".");
+    if (!payload || !sig) return null;
+
+    const expected = Buffer.from(signSessionPayload(payload));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+        return JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Returns { userId, roomId } for a valid token, otherwise null
+function verifySessionToken(token) {
+    const data = readSignedToken(token);
+    if (!data || typeof data.userId !== 'string' || typeof data.roomId !== 'string') return null;
+    return { userId: data.userId, roomId: data.roomId };
+}
+
+// A profile spans rooms, so its token names no room; it is kept by the browser and sent on create and join
+function issueProfileToken(profileId) {
+    const payload = Buffer.from(JSON.stringify({ profileId })).toString("base64url");
+    return `${payload}.${signSessionPayload(payload)}`;
+}
+
+function verifyProfileToken(token) {
+    const data = readSignedToken(token);
+    return data && typeof data.profileId === 'string' ? data.profileId : null;
+}
+
+function bindSocketToUser(socket, userId) {
+    socketToUserMap[socket.id] = userId;
+    userToSocketMap[userId] = socket.id;
+    // The instance the socket is connected to, and any that later takes the room over, need it too
+    if (roomLeases) io.serverSideEmit("socket-bound", { socketId: socket.id, userId });
+}
+
+function unbindSocket(socket) {
+    const userId = socketToUserMap[socket.id];
+    if (userId && userToSocketMap[userId] === socket.id) delete userToSocketMap[userId];
+    delete socketToUserMap[socket.id];
+    if (roomLeases) io.serverSideEmit("socket-unbound", { socketId: socket.id });
+}
+
 // --- RULES & UTILS ---
-const MAX_SQUAD_SIZE = 25;       
-const MIN_SQUAD_TO_PLAY = 18;    
 const PLAYING_11_SIZE = 11;      
-const MAX_OVERSEAS_SQUAD = 8;
-const MAX_OVERSEAS_P11 = 4;
-const BID_INCREMENT = 0.25;
+
+// Defaults for room.config; the host can override them within RULE_BOUNDS
+const DEFAULT_RULES = {
+    startingPurse: 100,
+    maxSquadSize: 25,
+    minSquadToPlay: 18,
+    maxOverseasSquad: 8,
+    maxOverseasP11: 4,
+    bidIncrement: 0.25,
+    // Clock for each new lot, and what a bid resets it to (0 leaves the running clock alone)
+    bidTimer: 10,
+    postBidTimer: 10,
+    // A bid with antiSnipeWindow seconds or less left gets at least antiSnipeExtension more; 0 turns it off
+    antiSnipeWindow: 0,
+    antiSnipeExtension: 5,
+    // "open" is ascending bidding; "sealed" takes one hidden bid per team per lot, priced and tie-broken as below
+    auctionFormat: "open",
+    sealedPricing: "first",
+    sealedTieBreak: "earliest",
+    poolOrder: "sets",
+    // "quick" plays one round robin instantly; "tournament" runs a league and playoffs fixture by fixture
+    resultMode: "quick",
+    // Pitch for XI scoring: "spin" or "pace" favours bowlers of that type, "neutral" favours neither
+    venue: "neutral",
+    // Retentions and RTM cards are off unless the host turns them on
+    maxRetentions: 0,
+    rtmCards: 0,
+    rtmWindow: 10,
+    // Teams may trade players and cash between the auction and selection
+    tradeWindow: false,
+    // Per role group { min, max }; bids that would put a minimum out of reach are refused (see squadrules.js)
+    roleLimits: DEFAULT_ROLE_LIMITS,
+    // Increment while the current bid is below upTo; bidIncrement applies above the last band
+    bidLadder: [
+        { upTo: 1, step: 0.05 },
+        { upTo: 2, step: 0.1 },
+        { upTo: 5, step: 0.2 }
+    ]
+};
+
+const MAX_LADDER_BANDS = 10;
+const POOL_ORDERS = ["random", "sets"];
+const RESULT_MODES = ["quick", "tournament"];
+
+// Auction sets in the order they go under the hammer; a player joins the first set they match
+const MARQUEE_MIN_RATING = 90;
+const MARQUEE_MIN_BASE_PRICE = 2;
+const AUCTION_SETS = [
+    { name: "Marquee", match: p => p.marquee === true || (p.status === "Capped" && p.rating >= MARQUEE_MIN_RATING && p.basePrice >= MARQUEE_MIN_BASE_PRICE) },
+    { name: "Capped Batters", match: p => p.status === "Capped" && getRoleGroup(p.role) === "BAT" },
+    { name: "Capped All-Rounders", match: p => p.status === "Capped" && getRoleGroup(p.role) === "AR" },
+    { name: "Capped Wicketkeepers", match: p => p.status === "Capped" && getRoleGroup(p.role) === "WK" },
+    { name: "Capped Bowlers", match: p => p.status === "Capped" && getRoleGroup(p.role) === "BOWL" },
+    { name: "Uncapped", match: p => p.status !== "Capped" }
+];
+const FALLBACK_SET = "Others";
+
+const MIN_BASE_PRICE = 0.05;
+const NEXT_BIDS_SENT = 4;
+
+// [min, max, decimals]
+const RULE_BOUNDS = {
+    startingPurse: [50, 500, 2],
+    maxSquadSize: [PLAYING_11_SIZE, 40, 0],
+    minSquadToPlay: [PLAYING_11_SIZE, 40, 0],
+    maxOverseasSquad: [0, 20, 0],
+    maxOverseasP11: [0, PLAYING_11_SIZE, 0],
+    bidIncrement: [0.05, 5, 2],
+    bidTimer: [5, 60, 0],
+    postBidTimer: [0, 60, 0],
+    antiSnipeWindow: [0, 30, 0],
+    antiSnipeExtension: [1, 60, 0],
+    maxRetentions: [0, 5, 0],
+    rtmCards: [0, 3, 0],
+    rtmWindow: [5, 30, 0]
+};
+
+// Price of the 1st, 2nd, ... retained player, charged against the purse
+const RETENTION_SLABS = [15, 11, 7, 5, 3];
+// Players a team may claim as "theirs" for RTM, per card held
+const RTM_CLAIMS_PER_CARD = 2;
+
+// Bot teams the host can add in the lobby; the key is sent by clients
+const BOT_PERSONALITIES = {
+    value: { label: "Value Hunter" },
+    star: { label: "Star Chaser" },
+    balanced: { label: "Balanced" }
+};
+const MAX_BOT_TEAMS = 9;
+// An upload with hundreds of bad rows only needs the first few to be fixable
+const MAX_PLAYER_DB_ERRORS_SENT = 100;
+// [min, max] ms a bot waits before acting, so humans can see and beat its bids
+const BOT_THINK_MS = [700, 1800];
+// Squad make-up a balanced bot aims for, as shares of its target squad
+const BOT_ROLE_SHARES = { WK: 0.1, BAT: 0.3, AR: 0.25, BOWL: 0.35 };
+// Share of the way from reserve to ceiling a bot bids in a first-price sealed lot
+const BOT_SEALED_SHADE = 0.7;
 
 function sanitizeInput(str, maxLength = 50) {
     if (!str || typeof str !== 'string') return '';
     return str.trim().slice(0, maxLength).replace(/[<>]/g, '');
 }
 
+// Merge host-supplied rules over the current config, clamping every value to RULE_BOUNDS
+function sanitizeRoomConfig(input, current = DEFAULT_RULES) {
+    const config = { ...DEFAULT_RULES, ...current };
+    const source = (input && typeof input === 'object') ? input : {};
+
+    Object.keys(RULE_BOUNDS).forEach(key => {
+        const [min, max, decimals] = RULE_BOUNDS[key];
+        const value = parseFloat(source[key]);
+        if (isNaN(value)) return;
+        config[key] = parseFloat(Math.max(min, Math.min(max, value)).toFixed(decimals));
+    });
+
+    if (AUCTION_FORMATS.includes(source.auctionFormat)) config.auctionFormat = source.auctionFormat;
+    if (SEALED_PRICING.includes(source.sealedPricing)) config.sealedPricing = source.sealedPricing;
+    if (SEALED_TIE_BREAKS.includes(source.sealedTieBreak)) config.sealedTieBreak = source.sealedTieBreak;
+    if (POOL_ORDERS.includes(source.poolOrder)) config.poolOrder = source.poolOrder;
+    if (RESULT_MODES.includes(source.resultMode)) config.resultMode = source.resultMode;
+    if (VENUES.includes(source.venue)) config.venue = source.venue;
+    if (source.tradeWindow !== undefined) config.tradeWindow = source.tradeWindow === true || source.tradeWindow === "true";
+    if (Array.isArray(source.bidLadder)) config.bidLadder = sanitizeBidLadder(source.bidLadder);
+
+    // A team must be able to reach the playing minimum inside the squad cap
+    if (config.minSquadToPlay > config.maxSquadSize) config.minSquadToPlay = config.maxSquadSize;
+    if (config.maxOverseasP11 > config.maxOverseasSquad) config.maxOverseasP11 = config.maxOverseasSquad;
+    config.roleLimits = sanitizeRoleLimits(source.roleLimits, config.roleLimits, config.maxSquadSize);
+    return config;
+}
+
+// Keep well-formed bands only, sorted by price, one band per upTo
+function sanitizeBidLadder(ladder) {
+    const bands = [];
+    ladder.slice(0, MAX_LADDER_BANDS).forEach(band => {
+        if (!band || typeof band !== 'object') return;
+        const upTo = parseFloat(band.upTo);
+        const step = parseFloat(band.step);
+        if (isNaN(upTo) || isNaN(step)) return;
+        if (upTo <= 0 || upTo > RULE_BOUNDS.startingPurse[1]) return;
+        if (step < 0.01 || step > RULE_BOUNDS.bidIncrement[1]) return;
+        if (bands.some(b => b.upTo === upTo)) return;
+        bands.push({ upTo: parseFloat(upTo.toFixed(2)), step: parseFloat(step.toFixed(2)) });
+    });
+    return bands.sort((a, b) => a.upTo - b.upTo);
+}
+
+// --- BID LADDER ---
+
+function getBidIncrement(config, amount) {
+    const band = (config.bidLadder || []).find(b => amount < b.upTo);
+    return band ? band.step : config.bidIncrement;
+}
+
+function getMinimumIncrement(config) {
+    return Math.min(config.bidIncrement, ...(config.bidLadder || []).map(b => b.step));
+}
+
+function getMinimumBid(config, currentBid) {
+    return parseFloat((currentBid + getBidIncrement(config, currentBid)).toFixed(2));
+}
+
+// The next few legal bids, each one step above the previous, so clients never compute the ladder
+function getNextBids(config, currentBid, count = NEXT_BIDS_SENT) {
+    const bids = [];
+    let amount = currentBid;
+    for (let i = 0; i < count; i++) {
+        amount = getMinimumBid(config, amount);
+        bids.push(amount);
+    }
+    return bids;
+}
+
+// Every legal bid above currentBid up to and including upTo, lowest first
+function getLadderBids(config, currentBid, upTo) {
+    const bids = [];
+    for (let amount = getMinimumBid(config, currentBid); amount <= upTo; amount = getMinimumBid(config, amount)) bids.push(amount);
+    return bids;
+}
+
 function calculateWeightedRating(role, bat, bowl, field) {
     let rating = 0;
     const b = parseInt(bat) || 0;
@@ -141,7 +483,15 @@ function calculateWeightedRating(role, bat, bowl, field) {
 function loadPlayerDatabase() {
   try {
     const rawData = fs.readFileSync(path.join(__dirname, "players.json"), "utf-8");
-    const players = JSON.parse(rawData);
+    return preparePlayers(JSON.parse(rawData));
+  } catch (error) {
+    console.error("CRITICAL: players.json not found!", error.message);
+    return []; 
+  }
+}
+
+// Bundled and uploaded players alike: defaults filled in and the rating worked out from bat/bowl/field
+function preparePlayers(players) {
     return players.map((p, idx) => {
         const weightedRating = calculateWeightedRating(p.role, p.bat, p.bowl, p.field);
         return {
@@ -154,10 +504,12 @@ function loadPlayerDatabase() {
             img: p.img || "https://cdn-icons-png.flaticon.com/512/166/166344.png"
         };
     });
-  } catch (error) {
-    console.error("CRITICAL: players.json not found!", error.message);
-    return []; 
-  }
+}
+
+// Shown to every team so they know which pool they are bidding from
+function getPlayerDbSummary(room) {
+    const db = room.playerDatabase;
+    return db ? { name: db.name, count: db.players.length, custom: true } : { name: "Bundled IPL pool", custom: false };
 }
 
 function shuffleArray(array) {
@@ -169,115 +521,562 @@ function shuffleArray(array) {
     return arr;
 }
 
+// Tag every player with their auction set; "sets" order shuffles within each set only.
+// A room with an uploaded database (room.playerDatabase) draws from that instead of players.json
+function buildPlayerPool(order, playerDatabase = null) {
+    const players = playerDatabase ? preparePlayers(playerDatabase.players) : loadPlayerDatabase();
+    if (players.length === 0) return [{ id: "err", name: "No Players Found", role: "N/A", rating: 0, basePrice: 0, set: FALLBACK_SET }];
+
+    const sets = [...AUCTION_SETS.map(s => ({ name: s.name, players: [] })), { name: FALLBACK_SET, players: [] }];
+    players.forEach(p => {
+        const index = AUCTION_SETS.findIndex(s => s.match(p));
+        const set = sets[index === -1 ? sets.length - 1 : index];
+        set.players.push({ ...p, set: set.name });
+    });
+
+    if (order === "random") return shuffleArray(sets.flatMap(s => s.players));
+    return sets.flatMap(s => shuffleArray(s.players));
+}
+
+// Remaining sets after the current lot, in order; only meaningful when the pool is ordered by set
+function getUpcomingSets(room) {
+    if (room.config.poolOrder !== "sets") return [];
+    const auction = room.auction;
+    const upcoming = [];
+    auction.playerPool.slice(auction.currentPlayerIndex + 1).forEach(p => {
+        const last = upcoming[upcoming.length - 1];
+        if (last && last.name === p.set) last.count++;
+        else upcoming.push({ name: p.set, count: 1 });
+    });
+    return upcoming;
+}
+
+function getLotPayload(room) {
+    const auction = room.auction;
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    return {
+        player,
+        currentBid: auction.currentBid,
+        nextBids: getNextBids(room.config, auction.currentBid),
+        bidHistory: auction.bidHistory || [],
+        sealed: isSealedAuction(room),
+        sealedBidderIds: Object.keys(auction.sealedBids),
+        set: player.set,
+        upcomingSets: getUpcomingSets(room)
+    };
+}
+
+function createTeam(id, name, config) {
+    return {
+        id, name, purse: config.startingPurse, squad: [], isEliminated: false, isFinishedBidding: false, submitted11: false, totalScore: 0, scoreBreakdown: null,
+        retentions: [], rtmClaims: [], rtmCards: config.rtmCards
+    };
+}
+
+// Shared purse / squad / overseas validation for any way a team can acquire a player
+function canTeamAcquire(room, team, player, price) {
+    if (!team || team.isEliminated || team.isFinishedBidding) return false;
+    if (team.squad.length >= room.config.maxSquadSize) return false;
+    if (price > team.purse) return false;
+    if (player.country === "Overseas") {
+        const overseasCount = team.squad.filter(p => p.country === "Overseas").length;
+        if (overseasCount >= room.config.maxOverseasSquad) return false;
+    }
+    if (checkComposition(team, player, price, room.config.roleLimits, getCompositionContext(room, player))) return false;
+    return true;
+}
+
+// Players still to come, which set the cheapest price a team could fill its role needs at
+function getCompositionContext(room, excludePlayer = null) {
+    const auction = room.auction;
+    const upcoming = [...auction.playerPool.slice(auction.currentPlayerIndex + (auction.biddingOpen ? 1 : 0)), ...auction.unsoldPlayers];
+    return {
+        maxSquadSize: room.config.maxSquadSize,
+        upcoming: excludePlayer ? upcoming.filter(p => p.id !== excludePlayer.id) : upcoming,
+        minPrice: MIN_BASE_PRICE
+    };
+}
+
+function getSquadNeedsPayload(room) {
+    const context = getCompositionContext(room);
+    return Object.values(room.teams).reduce((acc, team) => {
+        const { counts, missing, full, reserve, feasible } = getSquadNeeds(team.squad, team.purse, room.config.roleLimits, context);
+        acc[team.id] = { counts, missing, full, reserve, feasible };
+        return acc;
+    }, {});
+}
+
+// Every squad change goes out with each team's role needs alongside it
+function emitTeamsUpdated(roomId) {
+    const room = rooms[roomId];
+    io.to(roomId).emit("teams-updated", Object.values(room.teams));
+    io.to(roomId).emit("squad-needs", getSquadNeedsPayload(room));
+}
+
+// lastActivity is saved with the room and drives idle cleanup, so touching it marks the room dirty
 function updateRoomActivity(roomId) {
     if (rooms[roomId]) {
         rooms[roomId].lastActivity = Date.now();
+        saveGameData(roomId);
     }
 }
 
+// --- EVENT LOG ---
+// Append-only record of everything that happened in the room, persisted with it; export and replay read it back
+
+function recordEvent(room, type, data = {}) {
+    room.eventLog.push({ seq: room.eventLog.length + 1, at: Date.now(), type, phase: room.auction.phase, ...data });
+}
+
+function setPhase(room, phase) {
+    room.auction.phase = phase;
+    recordEvent(room, "phase");
+}
+
 // --- GAME LOGIC ---
 
+// "ACCELERATED" is the re-auction of unsold players; it bids exactly like "AUCTION"
+function isBiddingPhase(phase) {
+    return phase === "AUCTION" || phase === "ACCELERATED";
+}
+
+function isSealedAuction(room) {
+    return room.config.auctionFormat === "sealed";
+}
+
+function getBidTimer(room) {
+    return room.auction.phase === "ACCELERATED" ? room.auction.acceleratedTimer : room.config.bidTimer;
+}
+
+// Seconds left on the lot clock, fractional; falls back to the stored value when no clock is running
+function getTimeLeft(auction) {
+    return auction.deadline ? Math.max(0, (auction.deadline - Date.now()) / 1000) : auction.timeLeft;
+}
+
+function getTimerPayload(auction) {
+    return { deadline: auction.deadline, serverTime: Date.now(), timeLeft: Math.ceil(getTimeLeft(auction)) };
+}
+
+// Post-bid reset, then the anti-snipe extension for late bids; the accelerated round keeps one flat clock
+function getClockAfterBid(room) {
+    const config = room.config;
+    const remaining = getTimeLeft(room.auction);
+    const reset = room.auction.phase === "ACCELERATED" ? room.auction.acceleratedTimer : config.postBidTimer;
+    let next = reset > 0 ? reset : remaining;
+    if (config.antiSnipeWindow > 0 && remaining <= config.antiSnipeWindow) {
+        next = Math.max(next, remaining + config.antiSnipeExtension);
+    }
+    return next;
+}
+
 function checkEliminations(room) {
     if(!room || !room.teams) return;
     let changed = false;
     Object.values(room.teams).forEach(team => {
         // Only mark if not already eliminated
-        if (!team.isEliminated && team.purse < BID_INCREMENT && team.squad.length < MIN_SQUAD_TO_PLAY) {
+        if (!team.isEliminated && team.purse < getMinimumIncrement(room.config) && team.squad.length < room.config.minSquadToPlay) {
             team.isEliminated = true;
             changed = true;
         }
     });
-    if(changed) saveGameData();
+    if(changed) saveGameData(room.id);
 }
 
 function endAuctionPhase(roomId) {
     const room = rooms[roomId];
     if(!room) return;
     if (room.auction.timer) {
-        clearInterval(room.auction.timer);
+        clearTimeout(room.auction.timer);
         room.auction.timer = null;
     }
-    room.auction.phase = "SELECTION";
     room.auction.biddingOpen = false;
+    if (room.config.tradeWindow) return openTradeWindow(roomId);
+    startSelection(roomId);
+}
+
+function startSelection(roomId) {
+    const room = rooms[roomId];
+    setPhase(room, "SELECTION");
     io.to(roomId).emit("start-selection-phase");
+    eliminateTeamsWithoutXI(room);
+    submitBotPlayingXIs(room);
     updateRoomActivity(roomId);
-    saveGameData();
+    saveGameData(roomId);
+    checkSelectionComplete(roomId);
+}
+
+function checkSelectionComplete(roomId) {
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "SELECTION") return;
+    const activeTeams = Object.values(room.teams).filter(t => !t.isEliminated);
+    if (activeTeams.every(t => t.submitted11)) finishSelection(roomId);
+    else emitTeamsUpdated(roomId);
 }
 
 function checkAuctionCompletion(roomId) {
     const room = rooms[roomId];
-    if (!room || room.auction.phase !== "AUCTION") return;
+    if (!room) return;
+    if (!isBiddingPhase(room.auction.phase) && room.auction.phase !== "UNSOLD_NOMINATION") return;
     const teams = Object.values(room.teams);
     
     const activeBidders = teams.filter(t => 
         !t.isEliminated && 
         !t.isFinishedBidding && 
-        t.squad.length < MAX_SQUAD_SIZE
+        t.squad.length < room.config.maxSquadSize
     );
     
     if (activeBidders.length === 0) {
         if(room.auction.timer) {
-            clearInterval(room.auction.timer);
+            clearTimeout(room.auction.timer);
             room.auction.timer = null;
         }
         endAuctionPhase(roomId);
     }
 }
 
+// Validates a Playing XI against the room's rules and scores it onto the team; false if it is not legal
+function applyPlayingXI(room, team, { playerIds, cId, vcId, battingOrder }) {
+    const requiredSelection = Math.min(PLAYING_11_SIZE, team.squad.length);
+    if(!Array.isArray(playerIds) || playerIds.length !== requiredSelection) return false;
+    
+    const selectedPlayers = team.squad.filter(p => playerIds.includes(p.id));
+    if (selectedPlayers.length !== requiredSelection) return false;
+    
+    // Overseas Check
+    const overseasInP11 = selectedPlayers.filter(p => p.country === "Overseas").length;
+    if (overseasInP11 > room.config.maxOverseasP11) return false;
+    
+    const captain = selectedPlayers.find(p => p.id === cId);
+    const viceCaptain = selectedPlayers.find(p => p.id === vcId);
+    if(!captain || !viceCaptain || cId === vcId) return false;
+
+    const breakdown = scorePlayingXI(selectedPlayers, cId, vcId, room.config.venue);
+    team.totalScore = breakdown.totalScore;
+    team.scoreBreakdown = breakdown;
+    team.submitted11 = true;
+    // playing11 is stored in batting order; an incomplete or foreign order falls back to the default
+    const isFullOrder = Array.isArray(battingOrder) && battingOrder.length === selectedPlayers.length 
+        && new Set(battingOrder).size === battingOrder.length && battingOrder.every(id => playerIds.includes(id));
+    team.playing11 = isFullOrder 
+        ? battingOrder.map(id => selectedPlayers.find(p => p.id === id)) 
+        : getDefaultBattingOrder(selectedPlayers);
+    recordEvent(room, "xi-submitted", { teamId: team.id, teamName: team.name, playerIds: team.playing11.map(p => p.id), captainId: cId, viceCaptainId: vcId, totalScore: team.totalScore });
+    return true;
+}
+
+// --- RESULTS (SIMULATED MATCHES) ---
+
+function toMatchSide(team) {
+    return { id: team.id, name: team.name, players: team.playing11, battingOrder: team.playing11 };
+}
+
+// Every side plays every other side once; match seeds derive from one room seed so results replay exactly
+function playRoundRobin(teams, seed, venue) {
+    const matches = [];
+    for (let i = 0; i < teams.length; i++) {
+        for (let j = i + 1; j < teams.length; j++) {
+            const matchSeed = (seed + matches.length * 7919) >>> 0;
+            matches.push(simulateMatch(toMatchSide(teams[i]), toMatchSide(teams[j]), matchSeed, venue));
+        }
+    }
+    return matches;
+}
+
+// An all-out side is charged its full overs, as in net run rate proper
+function buildStandings(teams, matches) {
+    const fullInnings = OVERS_PER_INNINGS * BALLS_PER_OVER;
+    const table = {};
+    teams.forEach(t => {
+        table[t.id] = { teamId: t.id, name: t.name, played: 0, won: 0, lost: 0, tied: 0, points: 0, runsFor: 0, ballsFaced: 0, runsAgainst: 0, ballsBowled: 0, nrr: 0, strength: t.totalScore };
+    });
+
+    matches.forEach(match => {
+        match.innings.forEach(inn => {
+            const balls = inn.allOut ? fullInnings : inn.balls;
+            const batting = table[inn.battingTeamId];
+            const bowling = table[inn.bowlingTeamId];
+            if (batting) { batting.runsFor += inn.runs; batting.ballsFaced += balls; }
+            if (bowling) { bowling.runsAgainst += inn.runs; bowling.ballsBowled += balls; }
+        });
+        match.teams.forEach(id => {
+            const row = table[id];
+            if (!row) return;
+            row.played++;
+            if (!match.winnerId) { row.tied++; row.points += 1; }
+            else if (match.winnerId === id) { row.won++; row.points += 2; }
+            else row.lost++;
+        });
+    });
+
+    return Object.values(table).map(row => {
+        const forRate = row.ballsFaced ? row.runsFor / (row.ballsFaced / BALLS_PER_OVER) : 0;
+        const againstRate = row.ballsBowled ? row.runsAgainst / (row.ballsBowled / BALLS_PER_OVER) : 0;
+        return { ...row, nrr: Math.round((forRate - againstRate) * 1000) / 1000 };
+    }).sort((a, b) => b.points - a.points || b.nrr - a.nrr || b.strength - a.strength);
+}
+
+function getResultsPayload(room) {
+    const { matches, standings, championId, runnerUpId } = room.results;
+    // A tournament's finalists rank above the rest of the league table
+    const order = [championId, runnerUpId, ...standings.map(row => row.teamId)].filter(Boolean);
+    const rankings = [...new Set(order)].map(id => room.teams[id]).filter(Boolean);
+    // Every scored XI player by player, so clients can show why a side rated higher or lower
+    const scores = rankings.filter(t => t.scoreBreakdown).map(t => ({ teamId: t.id, name: t.name, ...t.scoreBreakdown }));
+    return { winner: rankings[0], rankings, standings, matches, scores, fixtures: room.tournament ? room.tournament.fixtures : null };
+}
+
+function finishSelection(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    if (room.config.resultMode === "tournament") startTournament(roomId);
+    else calculateWinner(roomId);
+}
+
 function calculateWinner(roomId) {
     const room = rooms[roomId];
     if (!room) return;
     
-    room.auction.phase = "RESULT";
+    setPhase(room, "RESULT");
     const teams = Object.values(room.teams).filter(t => !t.isEliminated);
-    teams.sort((a, b) => b.totalScore - a.totalScore);
-    io.to(roomId).emit("game-over-results", { winner: teams[0], rankings: teams });
+    const seed = crypto.randomBytes(4).readUInt32LE(0);
+    const matches = playRoundRobin(teams, seed, room.config.venue);
+    room.results = { seed, matches, standings: buildStandings(teams, matches) };
+    recordProfileResults(roomId);
+
+    io.to(roomId).emit("game-over-results", getResultsPayload(room));
     updateRoomActivity(roomId);
-    saveGameData();
+    saveGameData(roomId);
 }
 
 function emitResults(roomId) {
     const room = rooms[roomId];
-    if(room && room.auction.phase === "RESULT") {
-      const teams = Object.values(room.teams).filter(t => !t.isEliminated);
-      teams.sort((a, b) => b.totalScore - a.totalScore);
-      io.to(roomId).emit("game-over-results", { winner: teams[0], rankings: teams });
+    if(room && room.auction.phase === "RESULT" && room.results) {
+      io.to(roomId).emit("game-over-results", getResultsPayload(room));
+    }
+}
+
+// --- TOURNAMENT (LEAGUE + PLAYOFFS) ---
+
+function getMatchSeed(tournament, index) {
+    return (tournament.seed + index * 7919) >>> 0;
+}
+
+// Circle method: every team plays once per round where possible, so nobody waits long between games
+function createLeagueFixtures(teamIds) {
+    const ids = teamIds.length % 2 === 0 ? [...teamIds] : [...teamIds, null];
+    const fixtures = [];
+    for (let round = 0; round < ids.length - 1; round++) {
+        for (let i = 0; i < ids.length / 2; i++) {
+            const home = ids[i];
+            const away = ids[ids.length - 1 - i];
+            if (home && away) fixtures.push({ id: `L${fixtures.length + 1}`, stage: "League", homeId: home, awayId: away, played: false, match: null, winnerId: null });
+        }
+        ids.splice(1, 0, ids.pop());
+    }
+    return fixtures;
+}
+
+function getLeagueStandings(room) {
+    const tournament = room.tournament;
+    const teams = tournament.teamIds.map(id => room.teams[id]).filter(Boolean);
+    const matches = tournament.fixtures.filter(f => f.stage === "League" && f.match).map(f => f.match);
+    return buildStandings(teams, matches);
+}
+
+function getTournamentState(room) {
+    return { fixtures: room.tournament.fixtures, standings: getLeagueStandings(room) };
+}
+
+function getFixture(tournament, stage) {
+    return tournament.fixtures.find(f => f.stage === stage);
+}
+
+function getFixtureLoser(fixture) {
+    return fixture.winnerId === fixture.homeId ? fixture.awayId : fixture.homeId;
+}
+
+function addPlayoffFixture(tournament, stage, homeId, awayId) {
+    tournament.fixtures.push({ id: stage.replace(/\s+/g, ""), stage, homeId, awayId, played: false, match: null, winnerId: null });
+}
+
+// Adds the next playoff round once the fixtures it depends on are played; IPL format for 4+ teams, a final otherwise
+function scheduleNextStage(room) {
+    const tournament = room.tournament;
+    if (tournament.fixtures.some(f => !f.played)) return;
+
+    const final = getFixture(tournament, "Final");
+    if (final) return;
+
+    const qualifier1 = getFixture(tournament, "Qualifier 1");
+    const eliminator = getFixture(tournament, "Eliminator");
+    const qualifier2 = getFixture(tournament, "Qualifier 2");
+
+    if (qualifier2) {
+        addPlayoffFixture(tournament, "Final", qualifier1.winnerId, qualifier2.winnerId);
+    } else if (qualifier1) {
+        addPlayoffFixture(tournament, "Qualifier 2", getFixtureLoser(qualifier1), eliminator.winnerId);
+    } else {
+        const seeds = getLeagueStandings(room).map(row => row.teamId);
+        tournament.seeding = seeds;
+        if (seeds.length >= 4) {
+            addPlayoffFixture(tournament, "Qualifier 1", seeds[0], seeds[1]);
+            addPlayoffFixture(tournament, "Eliminator", seeds[2], seeds[3]);
+        } else if (seeds.length >= 2) {
+            addPlayoffFixture(tournament, "Final", seeds[0], seeds[1]);
+        }
+    }
+}
+
+function startTournament(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    const teamIds = Object.values(room.teams).filter(t => !t.isEliminated).map(t => t.id);
+    setPhase(room, "TOURNAMENT");
+    room.tournament = { seed: crypto.randomBytes(4).readUInt32LE(0), teamIds, fixtures: createLeagueFixtures(teamIds), seeding: null };
+
+    if (room.tournament.fixtures.length === 0) return finishTournament(roomId);
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("tournament-updated", getTournamentState(room));
+}
+
+function playNextFixture(roomId) {
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "TOURNAMENT") return;
+    const tournament = room.tournament;
+
+    const index = tournament.fixtures.findIndex(f => !f.played);
+    if (index === -1) return finishTournament(roomId);
+    const fixture = tournament.fixtures[index];
+    const home = room.teams[fixture.homeId];
+    const away = room.teams[fixture.awayId];
+    fixture.played = true;
+
+    if (home && away) {
+        fixture.match = simulateMatch(toMatchSide(home), toMatchSide(away), getMatchSeed(tournament, index), room.config.venue);
+        fixture.winnerId = fixture.match.winnerId;
+        // League ties stay ties; a tied playoff goes to the higher league seed
+        if (!fixture.winnerId && fixture.stage !== "League") {
+            const seeding = tournament.seeding;
+            fixture.winnerId = seeding.indexOf(fixture.homeId) <= seeding.indexOf(fixture.awayId) ? fixture.homeId : fixture.awayId;
+        }
+    } else {
+        // A team that left concedes
+        fixture.winnerId = home ? home.id : (away ? away.id : null);
     }
+
+    scheduleNextStage(room);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("fixture-result", { fixture, ...getTournamentState(room) });
+
+    if (tournament.fixtures.every(f => f.played)) finishTournament(roomId);
+}
+
+function finishTournament(roomId) {
+    const room = rooms[roomId];
+    const tournament = room.tournament;
+    const final = getFixture(tournament, "Final");
+    const standings = getLeagueStandings(room);
+
+    setPhase(room, "RESULT");
+    room.results = {
+        seed: tournament.seed,
+        matches: tournament.fixtures.filter(f => f.match).map(f => ({ ...f.match, stage: f.stage })),
+        standings,
+        championId: final ? final.winnerId : (standings[0] ? standings[0].teamId : null),
+        runnerUpId: final ? getFixtureLoser(final) : null
+    };
+    recordProfileResults(roomId);
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("game-over-results", getResultsPayload(room));
+}
+
+// --- PROFILES ---
+// The Redis store keeps writes from several instances apart; within this one they also run one
+// at a time per profile, which the file store relies on and which saves Redis retries
+const profileUpdates = {};
+
+function updateProfile(profileId, change) {
+    const previous = profileUpdates[profileId] || Promise.resolve();
+    const next = previous.then(() => profileStore.update(profileId, change));
+    profileUpdates[profileId] = next.catch(() => {}).finally(() => {
+        if (profileUpdates[profileId] === next) delete profileUpdates[profileId];
+    });
+    return next;
+}
+
+function generateProfileId() {
+    return "profile_" + crypto.randomBytes(12).toString("hex");
+}
+
+// Only ever sent to the profile's owner: the token is what lets them edit it
+function getProfilePayload(profile) {
+    return { ...getPublicProfile(profile), history: profile.history, profileToken: issueProfileToken(profile.id), franchises: FRANCHISES };
+}
+
+// Every team with a profile gets the game in its history; eliminated teams rank below the rest
+function recordProfileResults(roomId) {
+    const room = rooms[roomId];
+    if (room.profilesRecorded) return;
+    room.profilesRecorded = true;
+    const { rankings } = getResultsPayload(room);
+    const order = [...rankings, ...Object.values(room.teams).filter(t => !rankings.includes(t))];
+    const finishedAt = Date.now();
+
+    order.forEach((team, index) => {
+        if (!team.profileId) return;
+        const game = {
+            roomId, finishedAt, rank: index + 1, teams: order.length, teamName: team.name, score: team.totalScore || 0,
+            spent: parseFloat(team.squad.reduce((sum, p) => sum + (p.soldPrice || 0), 0).toFixed(2)),
+            ratingPoints: team.squad.reduce((sum, p) => sum + (p.rating || 0), 0),
+            squad: team.squad.map(p => ({ id: p.id, name: p.name, role: p.role, rating: p.rating, soldPrice: p.soldPrice }))
+        };
+        updateProfile(team.profileId, profile => recordGame(profile, game))
+            .then(() => { leaderboardProfiles.profiles = null; })
+            .catch(e => console.error(`Failed to record room ${roomId} for profile ${team.profileId}`, e));
+    });
 }
 
 // --- TIMERS ---
-function startAuctionTimer(roomId, startTime = 10) {
+// The clock runs to an absolute deadline; clients are told once per change and count down locally
+function startAuctionTimer(roomId, seconds) {
     const room = rooms[roomId];
     if (!room || !room.auction) return;
     
     const auction = room.auction;
-    auction.timeLeft = startTime; 
+    const duration = seconds || getBidTimer(room);
+    auction.deadline = Date.now() + duration * 1000;
+    auction.timeLeft = Math.ceil(duration);
     
-    if (auction.timer) clearInterval(auction.timer);
+    if (auction.timer) clearTimeout(auction.timer);
     
-    auction.timer = setInterval(() => {
-      auction.timeLeft--;
-      // Don't emit every second to save bandwidth, allow client to countdown mostly
-      // But syncing every few seconds is good. For now, emit all.
-      io.to(roomId).emit("timer-update", auction.timeLeft);
-      
-      if (auction.timeLeft <= 0) {
-        clearInterval(auction.timer);
+    auction.timer = setTimeout(() => {
         auction.timer = null;
+        auction.deadline = null;
+        auction.timeLeft = 0;
         
-        if (auction.currentBidderId) finishBidding(roomId);
+        if (isSealedAuction(room)) revealSealedBids(roomId);
+        else if (auction.currentBidderId) finishBidding(roomId);
         else finishPlayerUnsold(roomId);
-      }
-    }, 1000);
+    }, duration * 1000);
+
+    io.to(roomId).emit("timer-update", getTimerPayload(auction));
 }
 
 function startNextPlayer(roomId) {
     const room = rooms[roomId];
-    if(!room || room.auction.phase !== "AUCTION") return;
+    if(!room || !isBiddingPhase(room.auction.phase)) return;
     
     const auction = room.auction;
     if (auction.currentPlayerIndex >= auction.playerPool.length) {
-      endAuctionPhase(roomId);
+      // Unsold players get one accelerated round after the main pool, never a second
+      if (auction.phase === "AUCTION" && auction.unsoldPlayers.length > 0) openUnsoldNomination(roomId);
+      else endAuctionPhase(roomId);
       return;
     }
     
@@ -285,68 +1084,1039 @@ function startNextPlayer(roomId) {
     auction.currentBid = player.basePrice;
     auction.currentBidderId = null;
     auction.skippedBy = new Set();
+    auction.bidHistory = [];
+    auction.sealedBids = {};
     auction.biddingOpen = true;
+    recordEvent(room, "lot", { playerId: player.id, playerName: player.name, role: player.role, set: player.set, basePrice: player.basePrice });
     
     updateRoomActivity(roomId);
-    saveGameData(); // Save state before timer starts
-    io.to(roomId).emit("new-player", { player, currentBid: auction.currentBid });
+    saveGameData(roomId); // Save state before timer starts
+    io.to(roomId).emit("new-player", getLotPayload(room));
     startAuctionTimer(roomId);
+    resolveProxyBids(roomId);
+    scheduleBotActions(roomId);
 }
 
-function finishBidding(roomId) {
+// Shared by the place-bid handler and bots; false if the bid is not legal
+function placeBid(roomId, userId, bidAmount) {
     const room = rooms[roomId];
-    if (!room) return;
-
+    if (!room || !room.auction.biddingOpen || room.auction.paused) return false;
+    
     const auction = room.auction;
-    auction.biddingOpen = false;
-    const player = auction.playerPool[auction.currentPlayerIndex];
-    const winnerUserId = auction.currentBidderId;
-    const team = room.teams[winnerUserId];
+    const team = room.teams[userId];
     
-    if(team) {
-        const finalPrice = parseFloat(auction.currentBid);
-        team.purse = parseFloat((team.purse - finalPrice).toFixed(2));
-        const soldPlayer = { ...player, soldPrice: finalPrice };
-        team.squad.push(soldPlayer);
-        
-        checkEliminations(room);
-        io.to(roomId).emit("player-sold", { 
-            player, price: auction.currentBid, teamName: team.name, eliminated: team.isEliminated 
-        });
-    } else {
-        io.to(roomId).emit("player-unsold", { player });
+    bidAmount = parseFloat(bidAmount);
+    if (isNaN(bidAmount)) return false;
+    bidAmount = parseFloat(bidAmount.toFixed(2));
+    if (isSealedAuction(room)) return placeSealedBid(roomId, userId, bidAmount);
+
+    // Checked first so the purse bounds the ladder walk below; a team that may bid an amount may bid anything under it
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    if (!canTeamAcquire(room, team, player, bidAmount)) return false;
+    // Amounts between steps (from the slider) go down to the step below; under the minimum bid is refused
+    const ladderBid = getLadderBids(room.config, auction.currentBid, bidAmount).pop();
+    if (ladderBid === undefined) return false;
+    bidAmount = ladderBid;
+
+    auction.currentBid = bidAmount;
+    auction.currentBidderId = userId;
+    auction.skippedBy = new Set();
+    auction.bidHistory.push({ teamId: userId, teamName: team.name, amount: bidAmount, at: Date.now() });
+    recordEvent(room, "bid", { playerId: player.id, playerName: player.name, teamId: userId, teamName: team.name, amount: bidAmount });
+    
+    updateRoomActivity(roomId);
+    io.to(roomId).emit("bid-updated", { 
+        currentBid: auction.currentBid, bidderId: userId, bidderName: team.name, nextBids: getNextBids(room.config, auction.currentBid) 
+    });
+    startAuctionTimer(roomId, getClockAfterBid(room));
+    resolveProxyBids(roomId);
+    scheduleBotActions(roomId);
+    return true;
+}
+
+function getActiveBidders(room) {
+    return Object.values(room.teams).filter(t => !t.isEliminated && !t.isFinishedBidding && t.squad.length < room.config.maxSquadSize);
+}
+
+// Closes the lot early once every team that could still bid has passed
+function registerSkip(roomId, userId) {
+    const room = rooms[roomId];
+    if (!room || !room.auction.biddingOpen || room.auction.paused) return;
+    if (!room.teams[userId]) return;
+    const auction = room.auction;
+
+    if (!auction.skippedBy.has(userId)) {
+        auction.skippedBy.add(userId);
+        const player = auction.playerPool[auction.currentPlayerIndex];
+        recordEvent(room, "skip", { playerId: player.id, playerName: player.name, teamId: userId, teamName: room.teams[userId].name });
+    }
+
+    if (isSealedAuction(room)) return closeSealedLotIfDone(roomId);
+    const activeBidders = getActiveBidders(room);
+    const requiredSkips = auction.currentBidderId ? (activeBidders.length - 1) : activeBidders.length;
+
+    if (auction.skippedBy.size >= requiredSkips && activeBidders.length > 0) {
+        if (auction.timer) clearTimeout(auction.timer);
+        if (auction.currentBidderId) finishBidding(roomId);
+        else finishPlayerUnsold(roomId);
+    }
+}
+
+// --- SEALED BIDS ---
+// auction.sealedBids[teamId] = { amount, seq }; amounts stay on the server until the reveal
+
+// One bid per team per lot, at or above the reserve (the lot's opening price), checked like an open bid
+function placeSealedBid(roomId, userId, amount) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const team = room.teams[userId];
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    if (auction.sealedBids[userId] || auction.skippedBy.has(userId)) return false;
+    if (amount < auction.currentBid || !canTeamAcquire(room, team, player, amount)) return false;
+
+    auction.sealedBids[userId] = { amount, seq: ++auction.sealedSeq };
+    recordEvent(room, "sealed-bid", { playerId: player.id, playerName: player.name, teamId: userId, teamName: team.name });
+    updateRoomActivity(roomId);
+    const socketId = userToSocketMap[userId];
+    if (socketId) io.to(socketId).emit("sealed-bid-accepted", { amount });
+    io.to(roomId).emit("sealed-bids-updated", { bidderIds: Object.keys(auction.sealedBids) });
+    closeSealedLotIfDone(roomId);
+    return true;
+}
+
+// Nothing left to wait for once every team that could bid has bid or passed
+function closeSealedLotIfDone(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const waiting = getActiveBidders(room).filter(t => !auction.sealedBids[t.id] && !auction.skippedBy.has(t.id));
+    if (waiting.length) return;
+    if (auction.timer) clearTimeout(auction.timer);
+    auction.timer = null;
+    auction.deadline = null;
+    revealSealedBids(roomId);
+}
+
+// Opens every bid at once; the winner then goes through finishBidding like an open-auction leader, RTM included
+function revealSealedBids(roomId) {
+    const room = rooms[roomId];
+    if (!room || !room.auction.biddingOpen) return;
+    const auction = room.auction;
+    const player = auction.playerPool[auction.currentPlayerIndex];
+
+    // Checked again: the host may have kicked a bidder, or a team finished bidding, since it bid
+    const bids = Object.keys(auction.sealedBids)
+        .filter(teamId => canTeamAcquire(room, room.teams[teamId], player, auction.sealedBids[teamId].amount))
+        .map(teamId => ({ teamId, purse: room.teams[teamId].purse, ...auction.sealedBids[teamId] }));
+    const { ranked, winner, price, tied } = resolveSealedBids(bids, {
+        pricing: room.config.sealedPricing, tieBreak: room.config.sealedTieBreak, reserve: auction.currentBid
+    });
+    const revealed = ranked.map(b => ({ teamId: b.teamId, teamName: room.teams[b.teamId].name, amount: b.amount }));
+    const winnerName = winner ? room.teams[winner.teamId].name : null;
+
+    auction.bidHistory = revealed.map(b => ({ ...b, at: Date.now() }));
+    recordEvent(room, "sealed-reveal", {
+        playerId: player.id, playerName: player.name, teamId: winner ? winner.teamId : null, teamName: winnerName, price, bids: revealed,
+        message: revealed.map(b => `${b.teamName} ${b.amount.toFixed(2)}`).join("; ") + (tied ? ` (tie: ${room.config.sealedTieBreak})` : "")
+    });
+    io.to(roomId).emit("sealed-bids-revealed", { player, bids: revealed, winnerId: winner ? winner.teamId : null, winnerName, price, tied, tieBreak: room.config.sealedTieBreak });
+
+    if (!winner) return finishPlayerUnsold(roomId);
+    auction.currentBid = price;
+    auction.currentBidderId = winner.teamId;
+    finishBidding(roomId);
+}
+
+function finishBidding(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    const auction = room.auction;
+    auction.biddingOpen = false;
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    const winnerUserId = auction.currentBidderId;
+    const team = room.teams[winnerUserId];
+    
+    if(team) {
+        // The owning team gets a window to match; the sale settles in settleRightToMatch
+        if (offerRightToMatch(roomId, player, team)) return;
+        awardPlayer(roomId, team, player, parseFloat(auction.currentBid));
+    } else {
+        markUnsold(roomId, player);
     }
 
     checkAuctionCompletion(roomId);
     prepareNext(roomId);
 }
+
+function awardPlayer(roomId, team, player, price, viaRtm = false) {
+    const room = rooms[roomId];
+    team.purse = parseFloat((team.purse - price).toFixed(2));
+    team.squad.push({ ...player, soldPrice: price });
+    room.auction.lastSale = { teamId: team.id, playerId: player.id, price, viaRtm };
+    recordEvent(room, "sold", { playerId: player.id, playerName: player.name, teamId: team.id, teamName: team.name, price, viaRtm });
+    if (team.isBot && team.squad.length >= getBotTargetSquad(room.config)) team.isFinishedBidding = true;
+    
+    checkEliminations(room);
+    io.to(roomId).emit("player-sold", { 
+        player, price, teamName: team.name, eliminated: team.isEliminated, viaRtm 
+    });
+}
   
 function finishPlayerUnsold(roomId) {
     const room = rooms[roomId];
     if (!room) return; 
     room.auction.biddingOpen = false;
-    const player = room.auction.playerPool[room.auction.currentPlayerIndex];
+    markUnsold(roomId, room.auction.playerPool[room.auction.currentPlayerIndex]);
+    prepareNext(roomId);
+}
+
+function markUnsold(roomId, player) {
+    const room = rooms[roomId];
+    room.auction.unsoldPlayers.push(player);
+    recordEvent(room, "unsold", { playerId: player.id, playerName: player.name });
     io.to(roomId).emit("player-unsold", { player });
+}
+
+function prepareNext(roomId) {
+    const room = rooms[roomId];
+    if(!room || !isBiddingPhase(room.auction.phase)) return;
+    
+    clearProxyBidsForLot(room);
+    room.auction.currentPlayerIndex++;
+    checkEliminations(room);
+    emitTeamsUpdated(roomId);
+    updateRoomActivity(roomId);
+    
+    // Clear any existing next-player timeouts to avoid double skipping
+    if (room.nextPlayerTimeout) clearTimeout(room.nextPlayerTimeout);
+    
+    room.nextPlayerTimeout = setTimeout(() => {
+        if (rooms[roomId] && isBiddingPhase(rooms[roomId].auction.phase) && !rooms[roomId].auction.paused) {
+            startNextPlayer(roomId);
+        }
+    }, 3000);
+}
+
+// --- RETENTIONS & RTM ---
+
+function isRetentionEnabled(config) {
+    return config.maxRetentions > 0 || config.rtmCards > 0;
+}
+
+function getRetentionCost(count) {
+    return RETENTION_SLABS.slice(0, count).reduce((sum, slab) => sum + slab, 0);
+}
+
+function getRetentionState(room) {
+    return {
+        pool: room.auction.playerPool.map(p => ({
+            id: p.id, name: p.name, role: p.role, country: p.country, status: p.status, rating: p.rating, basePrice: p.basePrice
+        })),
+        slabs: RETENTION_SLABS.slice(0, room.config.maxRetentions),
+        maxRetentions: room.config.maxRetentions,
+        maxRtmClaims: room.config.rtmCards * RTM_CLAIMS_PER_CARD
+    };
+}
+
+function findPlayerClaim(room, playerId) {
+    return Object.values(room.teams).find(t => t.retentions.includes(playerId) || t.rtmClaims.includes(playerId));
+}
+
+function openRetentionPhase(roomId) {
+    const room = rooms[roomId];
+    setPhase(room, "RETENTION");
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("retention-phase-started", getRetentionState(room));
+}
+
+// Retained players move into squads at slab prices and leave the pool; RTM claims stay in it
+function finalizeRetentions(room) {
+    const retainedIds = new Set();
+    Object.values(room.teams).forEach(team => {
+        team.retentions.forEach((playerId, i) => {
+            const player = room.auction.playerPool.find(p => p.id === playerId);
+            if (!player) return;
+            const slab = RETENTION_SLABS[i];
+            team.purse = parseFloat((team.purse - slab).toFixed(2));
+            team.squad.push({ ...player, soldPrice: slab, retained: true });
+            recordEvent(room, "retained", { playerId: player.id, playerName: player.name, teamId: team.id, teamName: team.name, price: slab });
+            retainedIds.add(playerId);
+        });
+    });
+    room.auction.playerPool = room.auction.playerPool.filter(p => !retainedIds.has(p.id));
+    checkEliminations(room);
+}
+
+function offerRightToMatch(roomId, player, winningTeam) {
+    const room = rooms[roomId];
+    const owner = Object.values(room.teams).find(t => t.rtmClaims.includes(player.id));
+    if (!owner || owner.id === winningTeam.id || owner.rtmCards <= 0) return false;
+
+    const price = parseFloat(room.auction.currentBid);
+    if (!canTeamAcquire(room, owner, player, price)) return false;
+
+    room.auction.rtmPending = { playerId: player.id, ownerId: owner.id, winnerId: winningTeam.id, price, deadline: Date.now() + room.config.rtmWindow * 1000 };
+    scheduleRightToMatchTimeout(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("rtm-offer", getRightToMatchPayload(room));
+    if (owner.isBot) {
+        // A bot matches at anything up to what it would have bid itself
+        const matched = price <= getBotMaxBid(room, owner, player);
+        clearTimeout(room.rtmTimeout);
+        room.rtmTimeout = setTimeout(() => settleRightToMatch(roomId, matched), getBotThinkTime());
+    }
+    return true;
+}
+
+function getRightToMatchPayload(room) {
+    const pending = room.auction.rtmPending;
+    const owner = room.teams[pending.ownerId];
+    const winner = room.teams[pending.winnerId];
+    return {
+        player: room.auction.playerPool[room.auction.currentPlayerIndex],
+        price: pending.price,
+        ownerId: pending.ownerId,
+        ownerName: owner ? owner.name : "Unknown",
+        winnerName: winner ? winner.name : "Unknown",
+        deadline: pending.deadline,
+        serverTime: Date.now()
+    };
+}
+
+function scheduleRightToMatchTimeout(roomId) {
+    const room = rooms[roomId];
+    if (room.rtmTimeout) clearTimeout(room.rtmTimeout);
+    const delay = Math.max(0, room.auction.rtmPending.deadline - Date.now());
+    room.rtmTimeout = setTimeout(() => settleRightToMatch(roomId, false), delay);
+}
+
+function settleRightToMatch(roomId, matched) {
+    const room = rooms[roomId];
+    if (!room || !room.auction.rtmPending) return;
+    const auction = room.auction;
+    const pending = auction.rtmPending;
+    auction.rtmPending = null;
+    if (room.rtmTimeout) {
+        clearTimeout(room.rtmTimeout);
+        room.rtmTimeout = null;
+    }
+
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    const owner = room.teams[pending.ownerId];
+    const winner = room.teams[pending.winnerId];
+
+    // Re-check the owner: their purse or squad may have changed if they left and rejoined
+    if (matched && canTeamAcquire(room, owner, player, pending.price)) {
+        owner.rtmCards--;
+        awardPlayer(roomId, owner, player, pending.price, true);
+    } else if (winner) {
+        awardPlayer(roomId, winner, player, pending.price);
+    } else {
+        markUnsold(roomId, player);
+    }
+
+    checkAuctionCompletion(roomId);
     prepareNext(roomId);
 }
 
-function prepareNext(roomId) {
-    const room = rooms[roomId];
-    if(!room || room.auction.phase !== "AUCTION") return;
-    
-    room.auction.currentPlayerIndex++;
-    checkEliminations(room);
-    io.to(roomId).emit("teams-updated", Object.values(room.teams));
-    updateRoomActivity(roomId);
-    
-    // Clear any existing next-player timeouts to avoid double skipping
-    if (room.nextPlayerTimeout) clearTimeout(room.nextPlayerTimeout);
-    
-    room.nextPlayerTimeout = setTimeout(() => {
-        if (rooms[roomId] && rooms[roomId].auction.phase === "AUCTION") {
-            startNextPlayer(roomId);
-        }
-    }, 3000);
+// --- UNSOLD RE-AUCTION ---
+
+function getUnsoldRoundState(room) {
+    const nominations = room.auction.nominations || {};
+    return {
+        unsoldPlayers: room.auction.unsoldPlayers,
+        defaultTimer: getDefaultAcceleratedTimer(room.config.bidTimer),
+        nominations: Object.keys(nominations).reduce((acc, playerId) => {
+            acc[playerId] = nominations[playerId].length;
+            return acc;
+        }, {})
+    };
+}
+
+function openUnsoldNomination(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    setPhase(room, "UNSOLD_NOMINATION");
+    room.auction.biddingOpen = false;
+    room.auction.nominations = {};
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("unsold-round-available", getUnsoldRoundState(room));
+    // Nobody left to buy anything, so there is nothing to re-auction
+    checkAuctionCompletion(roomId);
+}
+
+function startAcceleratedRound(roomId, timer, priceFactor) {
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "UNSOLD_NOMINATION") return;
+    const auction = room.auction;
+
+    const settings = getAcceleratedSettings(room.config, timer, priceFactor);
+    const factor = settings.priceFactor;
+    auction.acceleratedTimer = settings.timer;
+
+    // Nominated players come back; with no nominations the whole unsold list does
+    const nominated = auction.unsoldPlayers.filter(p => auction.nominations[p.id]);
+    const relisted = nominated.length > 0 ? nominated : auction.unsoldPlayers;
+    auction.unsoldPlayers = auction.unsoldPlayers.filter(p => !relisted.includes(p));
+    auction.nominations = {};
+
+    auction.playerPool.push(...relisted.map(p => ({
+        ...p, set: "Accelerated", basePrice: Math.max(MIN_BASE_PRICE, parseFloat((p.basePrice * factor).toFixed(2)))
+    })));
+    setPhase(room, "ACCELERATED");
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("accelerated-round-started", { count: relisted.length, timer: auction.acceleratedTimer, priceFactor: factor });
+    startNextPlayer(roomId);
+}
+
+// --- TRADE WINDOW ---
+// Optional phase between the auction and selection; the trade rules themselves are in trades.js
+
+function openTradeWindow(roomId) {
+    const room = rooms[roomId];
+    setPhase(room, "TRADE");
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("trade-window-opened", getTradeState(room));
+}
+
+function getTradeState(room) {
+    return { trades: room.auction.trades };
+}
+
+function completeTrade(roomId, trade) {
+    const room = rooms[roomId];
+    const { error, give, receive, message } = applyTrade(room, trade);
+    if (error) return error;
+
+    recordEvent(room, "trade", {
+        tradeId: trade.id, teamId: trade.fromId, teamName: room.teams[trade.fromId].name, toTeamId: trade.toId, toTeamName: room.teams[trade.toId].name,
+        give, receive, amount: trade.cash, message
+    });
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("trade-completed", { tradeId: trade.id, message });
+    emitTeamsUpdated(roomId);
+    io.to(roomId).emit("trades-updated", getTradeState(room));
+    return null;
+}
+
+function sanitizePlayerIds(list) {
+    if (!Array.isArray(list)) return [];
+    return [...new Set(list.map(id => sanitizeInput(id, 100)).filter(Boolean))];
+}
+
+// --- HOST MODERATION ---
+const MAX_AUDIT_ENTRIES = 500;
+
+// Every host action is kept with the room and announced to everyone in it
+function logHostAction(roomId, action, message) {
+    const room = rooms[roomId];
+    const entry = { at: Date.now(), action, message };
+    room.auditLog.push(entry);
+    if (room.auditLog.length > MAX_AUDIT_ENTRIES) room.auditLog.shift();
+    recordEvent(room, "host", { action, message });
+    io.to(roomId).emit("audit-log-entry", entry);
+}
+
+// Between lots a pause holds the next lot back; during one it freezes the clock with timeLeft kept
+function pauseAuction(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    if (!isBiddingPhase(auction.phase) || auction.paused || auction.rtmPending) return false;
+
+    auction.paused = true;
+    if (auction.timer) clearTimeout(auction.timer);
+    auction.timer = null;
+    auction.timeLeft = getTimeLeft(auction);
+    auction.deadline = null;
+    if (room.nextPlayerTimeout) clearTimeout(room.nextPlayerTimeout);
+    if (room.botTimeout) clearTimeout(room.botTimeout);
+    io.to(roomId).emit("auction-paused", { timeLeft: Math.ceil(auction.timeLeft) });
+    return true;
+}
+
+function resumeAuction(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    if (!auction.paused) return false;
+
+    auction.paused = false;
+    io.to(roomId).emit("auction-resumed");
+    if (auction.biddingOpen) {
+        startAuctionTimer(roomId, auction.timeLeft);
+        // Proxies set while paused answer now
+        resolveProxyBids(roomId);
+        scheduleBotActions(roomId);
+    } else {
+        startNextPlayer(roomId);
+    }
+    return true;
+}
+
+// The current lot goes unsold at once, whatever has been bid
+function skipCurrentPlayer(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    if (!isBiddingPhase(auction.phase) || !auction.biddingOpen) return null;
+
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    if (auction.timer) clearTimeout(auction.timer);
+    auction.timer = null;
+    auction.currentBidderId = null;
+    // A paused room stays paused; the next lot waits for resume
+    finishPlayerUnsold(roomId);
+    return player;
+}
+
+// Reverses the latest sale: refund, return any RTM card, and put the player up again next
+function undoLastSale(roomId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const sale = auction.lastSale;
+    if (!sale || !isBiddingPhase(auction.phase) || auction.rtmPending) return null;
+
+    const team = room.teams[sale.teamId];
+    const index = team ? team.squad.findIndex(p => p.id === sale.playerId) : -1;
+    if (index < 0) return null;
+
+    const [{ soldPrice, ...player }] = team.squad.splice(index, 1);
+    team.purse = parseFloat((team.purse + sale.price).toFixed(2));
+    if (sale.viaRtm) team.rtmCards++;
+    if (team.isEliminated && team.purse >= getMinimumIncrement(room.config)) team.isEliminated = false;
+    if (team.isBot) team.isFinishedBidding = false;
+    auction.lastSale = null;
+    recordEvent(room, "sale-undone", { playerId: player.id, playerName: player.name, teamId: team.id, teamName: team.name, price: sale.price });
+
+    // Between lots currentPlayerIndex already points at the next one
+    auction.playerPool.splice(auction.currentPlayerIndex + (auction.biddingOpen ? 1 : 0), 0, player);
+    return { team, player, price: sale.price };
+}
+
+// Takes a team out of the room; a lot it was leading restarts from its base price
+function kickTeam(roomId, teamId) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    // teamId comes from the client; "__proto__" and the like must not resolve to a team
+    if (!Object.hasOwn(room.teams, teamId) || teamId === room.hostId) return null;
+    const team = room.teams[teamId];
+
+    delete room.teams[teamId];
+    delete auction.proxyBids[teamId];
+    recordEvent(room, "team-left", { teamId, teamName: team.name });
+    room.kickedIds.push(teamId);
+    auction.skippedBy.delete(teamId);
+
+    if (auction.rtmPending && (auction.rtmPending.ownerId === teamId || auction.rtmPending.winnerId === teamId)) {
+        settleRightToMatch(roomId, false);
+    } else if (auction.biddingOpen && auction.currentBidderId === teamId) {
+        const player = auction.playerPool[auction.currentPlayerIndex];
+        auction.currentBid = player.basePrice;
+        auction.currentBidderId = null;
+        auction.skippedBy = new Set();
+        auction.bidHistory = [];
+        recordEvent(room, "lot", { playerId: player.id, playerName: player.name, role: player.role, set: player.set, basePrice: player.basePrice, restarted: true });
+        io.to(roomId).emit("new-player", getLotPayload(room));
+        if (!auction.paused) {
+            startAuctionTimer(roomId);
+            resolveProxyBids(roomId);
+            scheduleBotActions(roomId);
+        }
+    } else if (auction.biddingOpen && !auction.paused && isSealedAuction(room)) {
+        // The lot may only have been waiting on this team's bid
+        closeSealedLotIfDone(roomId);
+    }
+
+    const socketId = userToSocketMap[teamId];
+    if (socketId) {
+        io.to(socketId).emit("kicked");
+        // Reaches the socket on whichever instance it is connected to
+        io.in(socketId).socketsLeave(roomId);
+    }
+    return team;
+}
+
+// --- PROXY BIDS ---
+// auction.proxyBids[teamId][playerId] = { max, seq }; ceilings never leave the server except to their owner
+
+function getProxyBidsPayload(room, teamId) {
+    const own = room.auction.proxyBids[teamId] || {};
+    return Object.keys(own).map(playerId => {
+        const player = room.auction.playerPool.find(p => p.id === playerId);
+        return { playerId, name: player ? player.name : "Unknown", max: own[playerId].max };
+    });
+}
+
+function emitProxyBids(room, teamId) {
+    const socketId = userToSocketMap[teamId];
+    if (socketId) io.to(socketId).emit("proxy-bids-updated", getProxyBidsPayload(room, teamId));
+}
+
+function clearProxyBidsForLot(room) {
+    const player = room.auction.playerPool[room.auction.currentPlayerIndex];
+    if (!player) return;
+    Object.keys(room.auction.proxyBids).forEach(teamId => {
+        if (!room.auction.proxyBids[teamId][player.id]) return;
+        delete room.auction.proxyBids[teamId][player.id];
+        emitProxyBids(room, teamId);
+    });
+}
+
+/**
+ * Settles every proxy on the current lot in one step. Raising by the minimum increment each time
+ * a proxy is outbid always ends the same way: the highest ceiling leads at one step above the
+ * next-highest ceiling (or at its own ceiling if lower). Equal ceilings go to whoever set theirs first,
+ * including against the team already holding the bid. Ceilings are cut down to the highest ladder step
+ * each team could actually buy at, so the price placed is always one the team is eligible for.
+ */
+function resolveProxyBids(roomId) {
+    const room = rooms[roomId];
+    if (!room || !room.auction.biddingOpen || room.auction.paused || isSealedAuction(room)) return;
+    const auction = room.auction;
+    const player = auction.playerPool[auction.currentPlayerIndex];
+    const holderId = auction.currentBidderId;
+
+    const entries = Object.keys(auction.proxyBids)
+        .filter(teamId => auction.proxyBids[teamId][player.id] && room.teams[teamId])
+        .map(teamId => ({ teamId, seq: auction.proxyBids[teamId][player.id].seq, limit: Math.min(auction.proxyBids[teamId][player.id].max, room.teams[teamId].purse) }));
+    if (entries.length === 0) return;
+    const ladder = getLadderBids(room.config, auction.currentBid, Math.max(...entries.map(e => e.limit)));
+
+    // Eligibility only gets harder as the price rises, so the highest step a team may bid is found by bisection
+    const highestLegalBid = (team, limit) => {
+        let low = 0, high = ladder.length - 1, best = null;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (ladder[mid] <= limit && canTeamAcquire(room, team, player, ladder[mid])) {
+                best = ladder[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return best;
+    };
+
+    const proxies = entries
+        .map(({ teamId, seq, limit }) => {
+            const ceiling = highestLegalBid(room.teams[teamId], limit);
+            // The holder is already in at the current price
+            return { teamId, seq, ceiling: teamId === holderId ? Math.max(auction.currentBid, ceiling || 0) : ceiling };
+        })
+        .filter(p => p.ceiling !== null)
+        .sort((a, b) => b.ceiling - a.ceiling || a.seq - b.seq);
+
+    const [leader, rival] = proxies;
+    if (!leader) return;
+
+    let price;
+    if (rival) {
+        // Ladder steps and the current bid are on one chain, so one step above the rival is a step too
+        const beatRival = rival.ceiling === leader.ceiling ? leader.ceiling : getMinimumBid(room.config, rival.ceiling);
+        price = Math.min(leader.ceiling, beatRival);
+    } else if (leader.teamId !== holderId) {
+        price = ladder[0];
+    }
+    // A holder who already leads by enough stays where they are
+    if (price === undefined || price <= auction.currentBid) return;
+    placeBid(roomId, leader.teamId, price);
+}
+
+// --- BOT TEAMS ---
+
+function createBotTeam(room, personality) {
+    const id = "bot_" + crypto.randomBytes(8).toString("hex");
+    const label = BOT_PERSONALITIES[personality].label;
+    const count = Object.values(room.teams).filter(t => t.isBot && t.botPersonality === personality).length;
+    return { ...createTeam(id, `${label} Bot ${count + 1}`, room.config), isBot: true, botPersonality: personality };
+}
+
+function getBotThinkTime() {
+    const [min, max] = BOT_THINK_MS;
+    return min + Math.floor(Math.random() * (max - min));
+}
+
+// Bots stop bidding a couple of players past the minimum so the auction does not drag on
+function getBotTargetSquad(config) {
+    return Math.min(config.maxSquadSize, config.minSquadToPlay + 2);
+}
+
+// Most a bot will pay for a player: a fair share of its purse per open slot, scaled by personality
+function getBotMaxBid(room, team, player) {
+    const target = getBotTargetSquad(room.config);
+    const slotsLeft = Math.max(1, target - team.squad.length);
+    // Keep enough back to fill the rest of the squad at the cheapest price
+    const spendable = team.purse - (slotsLeft - 1) * MIN_BASE_PRICE;
+    const fairShare = spendable / slotsLeft;
+    const rating = player.rating || 0;
+    let ceiling;
+
+    if (team.botPersonality === "value") {
+        // Stay under the price factors that cost value-for-money rating
+        ceiling = Math.min(player.basePrice * (rating > 88 ? 5.9 : 2.9), fairShare * 2);
+    } else if (team.botPersonality === "star") {
+        if (rating >= 88) ceiling = fairShare * 2.5;
+        else if (rating >= 80) ceiling = fairShare;
+        else ceiling = player.basePrice * 1.5;
+    } else {
+        const group = getRoleGroup(player.role);
+        const have = team.squad.filter(p => getRoleGroup(p.role) === group).length;
+        const needed = group ? have < Math.ceil(target * BOT_ROLE_SHARES[group]) : false;
+        ceiling = fairShare * Math.pow(rating / 80, 2) * (needed ? 1.5 : 0.6);
+    }
+    return Math.min(ceiling, spendable);
+}
+
+// After every new lot or bid each bot either passes or, one bot at a time, raises; far below its
+// ceiling a bot jumps several valid bids at once so bot-vs-bot wars do not crawl up the ladder
+function scheduleBotActions(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    if (room.botTimeout) clearTimeout(room.botTimeout);
+    if (!Object.values(room.teams).some(t => t.isBot)) return;
+
+    room.botTimeout = setTimeout(() => {
+        room.botTimeout = null;
+        if (!rooms[roomId]) return;
+        const auction = room.auction;
+        if (!auction.biddingOpen || auction.paused || !isBiddingPhase(auction.phase)) return;
+
+        const player = auction.playerPool[auction.currentPlayerIndex];
+        if (isSealedAuction(room)) return placeBotSealedBids(roomId, player);
+        const nextBids = getNextBids(room.config, auction.currentBid);
+        const bots = shuffleArray(Object.values(room.teams).filter(t => t.isBot && t.id !== auction.currentBidderId));
+        const bidder = bots.find(t => canTeamAcquire(room, t, player, nextBids[0]) && nextBids[0] <= getBotMaxBid(room, t, player));
+
+        // A bid resets everyone's skips, so passing only matters when no bot bids
+        if (bidder) {
+            const maxBid = getBotMaxBid(room, bidder, player);
+            const bid = nextBids.filter(b => b <= maxBid / 2 && b <= bidder.purse).pop() || nextBids[0];
+            placeBid(roomId, bidder.id, bid);
+        } else bots.forEach(t => registerSkip(roomId, t.id));
+    }, getBotThinkTime());
+}
+
+// Each bot bids once, all together: its full ceiling when it would only pay the runner-up's price,
+// otherwise shaded towards the reserve; a bot whose ceiling is below the reserve passes
+function placeBotSealedBids(roomId, player) {
+    const room = rooms[roomId];
+    const auction = room.auction;
+    const reserve = auction.currentBid;
+    const bots = getActiveBidders(room).filter(t => t.isBot && !auction.sealedBids[t.id] && !auction.skippedBy.has(t.id));
+    bots.forEach(bot => {
+        const maxBid = Math.min(getBotMaxBid(room, bot, player), bot.purse);
+        const shade = room.config.sealedPricing === "second" ? 1 : BOT_SEALED_SHADE;
+        const bid = parseFloat(Math.max(reserve, reserve + (maxBid - reserve) * shade).toFixed(2));
+        if (maxBid < reserve || !placeBid(roomId, bot.id, bid)) registerSkip(roomId, bot.id);
+    });
+}
+
+// Best legal XI by value-for-money rating: a keeper, three batters and five bowling options first
+function pickBotPlayingXI(room, team) {
+    const size = Math.min(PLAYING_11_SIZE, team.squad.length);
+    const ranked = [...team.squad].sort((a, b) => getEffectiveRating(b) - getEffectiveRating(a));
+    const picked = [];
+    let overseas = 0;
+    const tryPick = (p) => {
+        if (picked.length >= size || picked.includes(p)) return false;
+        if (p.country === "Overseas" && overseas >= room.config.maxOverseasP11) return false;
+        if (p.country === "Overseas") overseas++;
+        picked.push(p);
+        return true;
+    };
+    const pickBest = (groups, count) => {
+        ranked.filter(p => groups.includes(getRoleGroup(p.role))).some(p => {
+            if (count <= 0) return true;
+            if (tryPick(p)) count--;
+            return false;
+        });
+    };
+
+    pickBest(["WK"], 1);
+    pickBest(["BAT"], 3);
+    pickBest(["BOWL", "AR"], 5);
+    ranked.forEach(p => {
+        if (getRoleGroup(p.role) === "WK" && picked.filter(x => getRoleGroup(x.role) === "WK").length >= 2) return;
+        tryPick(p);
+    });
+    // Only extra keepers are left, so take them rather than field a short side
+    ranked.forEach(tryPick);
+
+    const leaders = [...picked].sort((a, b) => getEffectiveRating(b) - getEffectiveRating(a));
+    return { playerIds: picked.map(p => p.id), cId: leaders[0] && leaders[0].id, vcId: leaders[1] && leaders[1].id };
+}
+
+function submitBotPlayingXIs(room) {
+    Object.values(room.teams).forEach(team => {
+        if (!team.isBot || team.isEliminated) return;
+        if (!applyPlayingXI(room, team, pickBotPlayingXI(room, team))) team.isEliminated = true;
+    });
+}
+
+// A legal XI needs a captain and a different vice-captain, and few enough overseas players to fill it
+function canFieldPlayingXI(room, team) {
+    const required = Math.min(PLAYING_11_SIZE, team.squad.length);
+    const overseas = team.squad.filter(p => p.country === "Overseas").length;
+    return required >= 2 && team.squad.length - overseas + Math.min(overseas, room.config.maxOverseasP11) >= required;
+}
+
+// Teams that cannot field a legal side (e.g. they bought fewer than two players) drop out rather than stall selection
+function eliminateTeamsWithoutXI(room) {
+    Object.values(room.teams).forEach(team => {
+        if (team.isEliminated || canFieldPlayingXI(room, team)) return;
+        team.isEliminated = true;
+        const socketId = userToSocketMap[team.id];
+        if (socketId) io.to(socketId).emit("error-message", "Your squad cannot field a Playing XI, so your team sits out the results.");
+    });
+}
+
+// --- ROOM STATE FOR (RE)CONNECTING CLIENTS ---
+
+// Brings a socket that just joined, rejoined or started spectating up to date with the room's phase
+function sendRoomState(socket, room) {
+    const auction = room.auction;
+    if (isBiddingPhase(auction.phase) && auction.biddingOpen) {
+        const lot = getLotPayload(room);
+        socket.emit("new-player", lot);
+        if (auction.currentBidderId) {
+            const leader = room.teams[auction.currentBidderId];
+            socket.emit("bid-updated", { 
+                currentBid: auction.currentBid, 
+                bidderId: auction.currentBidderId, 
+                bidderName: leader ? leader.name : "Unknown",
+                nextBids: lot.nextBids
+            });
+        }
+        const ownSealedBid = auction.sealedBids[socketToUserMap[socket.id]];
+        if (ownSealedBid) socket.emit("sealed-bid-accepted", { amount: ownSealedBid.amount });
+        socket.emit("timer-update", getTimerPayload(auction));
+    } else if (auction.rtmPending) socket.emit("rtm-offer", getRightToMatchPayload(room));
+    else if (auction.phase === "RETENTION") socket.emit("retention-phase-started", getRetentionState(room));
+    else if (auction.phase === "UNSOLD_NOMINATION") socket.emit("unsold-round-available", getUnsoldRoundState(room));
+    else if (auction.phase === "TRADE") socket.emit("trade-window-opened", getTradeState(room));
+    else if (auction.phase === "SELECTION") socket.emit("start-selection-phase");
+    else if (auction.phase === "TOURNAMENT") socket.emit("tournament-updated", getTournamentState(room));
+    else if (auction.phase === "RESULT") socket.emit("game-over-results", getResultsPayload(room));
+    if (auction.paused) socket.emit("auction-paused", { timeLeft: Math.ceil(auction.timeLeft) });
+    socket.emit("audit-log", room.auditLog);
+}
+
+// --- ROOM ACCESS & PUBLIC LOBBIES ---
+
+const MAX_ROOM_CODE_ATTEMPTS = 20;
+const PUBLIC_ROOMS_SENT = 50;
+const PUBLIC_ROOMS_TIMEOUT_MS = 2000;
+const JOIN_REFUSALS = {
+    locked: "This auction has started and the room is locked.",
+    full: "This room is full.",
+    attempts: "Too many wrong passwords, try again in a minute."
+};
+// Wrong passwords allowed per IP address, over sockets and HTTP alike, in each window. There is no
+// room-wide limit: it would let anyone lock the real players out of a room by guessing badly.
+const PASSWORD_ATTEMPT_WINDOW_MS = 60 * 1000;
+const clientPasswordAttempts = createAttemptLimiter({ max: 5, windowMs: PASSWORD_ATTEMPT_WINDOW_MS });
+setInterval(() => clientPasswordAttempts.sweep(), PASSWORD_ATTEMPT_WINDOW_MS).unref();
+
+/**
+ * Why the password does not let clientKey in: "missing", "wrong" or "attempts" once this client
+ * has had too many wrong ones; null when it does or the room has none.
+ */
+async function verifyRoomPassword(room, password, clientKey) {
+    if (!room.access.password) return null;
+    if (typeof password !== 'string' || !password) return "missing";
+    if (clientPasswordAttempts.isBlocked(clientKey)) return "attempts";
+    if (await checkRoomPassword(room.access.password, password)) return null;
+    clientPasswordAttempts.fail(clientKey);
+    return "wrong";
+}
+
+function emitPasswordRefusal(socket, roomId, reason, spectate) {
+    if (reason === "attempts") return socket.emit("error-message", JOIN_REFUSALS.attempts);
+    socket.emit("room-password-required", { roomId, wrong: reason === "wrong", ...(spectate ? { spectate } : {}) });
+}
+
+// A code nobody holds: no room here or in the store and, with Redis, no lease on another instance
+async function reserveRoomCode() {
+    for (let attempt = 0; attempt < MAX_ROOM_CODE_ATTEMPTS; attempt++) {
+        const code = generateRoomCode();
+        if (rooms[code] || claimingRooms[code]) continue;
+        if (roomLeases && !(await roomLeases.claim(code))) continue;
+        const saved = await roomStore.load(code);
+        // Checked again after the waits: another create-room here may have drawn the same code
+        if (!saved && !rooms[code]) return code;
+        if (roomLeases && !rooms[code]) await roomLeases.release(code);
+    }
+    throw new Error(`No free room code after ${MAX_ROOM_CODE_ATTEMPTS} attempts`);
+}
+
+function getPublicRoomSummaries() {
+    return Object.values(rooms).filter(room => room.access.visibility === "public").map(room => {
+        const teams = Object.values(room.teams);
+        const host = room.teams[room.hostId];
+        const started = room.auction.phase !== "LOBBY";
+        return {
+            roomId: room.id, hostName: host ? host.name : null, phase: room.auction.phase, format: room.config.auctionFormat,
+            teams: teams.length, humans: teams.filter(t => !t.isBot).length, maxTeams: room.access.maxTeams, hasPassword: !!room.access.password,
+            joinable: !(room.access.lockAfterStart && started) && teams.length < room.access.maxTeams
+        };
+    });
+}
+
+// Each instance only knows the rooms it drives, so with Redis the others are asked too; joinable lobbies first
+async function listPublicRooms() {
+    let summaries = getPublicRoomSummaries();
+    if (roomLeases) {
+        try {
+            const others = await io.timeout(PUBLIC_ROOMS_TIMEOUT_MS).serverSideEmitWithAck("list-public-rooms");
+            summaries = summaries.concat(...others);
+        } catch (e) {
+            console.error("Not every instance listed its public rooms", e.message);
+        }
+    }
+    return summaries.sort((a, b) => b.joinable - a.joinable || b.humans - a.humans).slice(0, PUBLIC_ROOMS_SENT);
+}
+
+// --- MULTI-INSTANCE ROOM OWNERSHIP ---
+// Only used with Redis. A room lives in `rooms` solely on the instance holding its lease; every
+// other instance forwards that room's socket events to it and relays the replies through the adapter.
+
+// Events that never touch an existing room run wherever the socket is connected
+const LOCAL_EVENTS = ["create-room", "disconnect"];
+// roomId -> pending lease claim, so concurrent events for one room load it only once
+const claimingRooms = {};
+
+/**
+ * True when this instance drives the room, taking it over first if nobody owns it. A room that
+ * is not in the store at all also counts, so the handler runs here and reports it missing.
+ */
+function acquireRoom(roomId) {
+    if (rooms[roomId]) return Promise.resolve(true);
+    if (!claimingRooms[roomId]) {
+        claimingRooms[roomId] = (async () => {
+            if (!(await roomLeases.claim(roomId))) return false;
+            const data = await roomStore.load(roomId);
+            if (data) {
+                resumeRoom(roomId, data);
+                console.log(`Instance ${INSTANCE_ID} took over room ${roomId}.`);
+            } else {
+                await roomLeases.release(roomId);
+            }
+            return true;
+        })().finally(() => delete claimingRooms[roomId]);
+    }
+    return claimingRooms[roomId];
+}
+
+// Another instance has the room now; stop driving it without touching the saved copy
+function dropRoom(roomId) {
+    const room = rooms[roomId];
+    if (!room) return;
+    stopRoomTimers(room);
+    delete rooms[roomId];
+    dirtyRooms.delete(roomId);
+}
+
+async function renewRoomLeases() {
+    await Promise.all(Object.keys(rooms).map(async roomId => {
+        if (claimingRooms[roomId]) return;
+        let held;
+        try {
+            held = await roomLeases.renew(roomId);
+        } catch (e) {
+            // Redis is unreachable; keep going and try again on the next tick
+            return console.error(`Failed to renew the lease on room ${roomId}`, e.message);
+        }
+        if (!held) {
+            console.error(`Instance ${INSTANCE_ID} lost the lease on room ${roomId}; dropping it.`);
+            dropRoom(roomId);
+        }
+    }));
+}
+
+// Failover: rooms whose owner died have an expired lease, and the first instance to see that claims them
+async function adoptOrphanedRooms() {
+    try {
+        for (const roomId of await roomStore.listRoomIds()) {
+            if (!rooms[roomId]) await acquireRoom(roomId);
+        }
+    } catch (e) {
+        console.error("Failed to look for rooms without an owner", e);
+    }
+}
+
+function getCommandRoomId(event, payload) {
+    if (LOCAL_EVENTS.includes(event)) return null;
+    if (event === "rejoin-game") {
+        const session = verifySessionToken(payload && payload.token);
+        return session ? session.roomId : null;
+    }
+    return payload && typeof payload.roomId === 'string' ? sanitizeInput(payload.roomId, 20).toUpperCase() : null;
+}
+
+// Wraps a connected socket so each room event runs on the room's owner, here or elsewhere
+function routeRoomCommands(socket) {
+    return {
+        id: socket.id,
+        // Password attempts are counted per address, wherever the command ends up running
+        handshake: { address: socket.handshake.address },
+        emit: (...args) => socket.emit(...args),
+        join: roomId => socket.join(roomId),
+        leave: roomId => socket.leave(roomId),
+        on(event, handler) {
+            socket.on(event, async (...args) => {
+                const roomId = getCommandRoomId(event, args[0]);
+                if (!roomId || rooms[roomId]) return handler(...args);
+                try {
+                    if (await acquireRoom(roomId)) return handler(...args);
+                } catch (e) {
+                    console.error(`Failed to route ${event} for room ${roomId}`, e);
+                    return socket.emit("error-message", "The server is busy, please try again.");
+                }
+                io.serverSideEmit("room-command", { roomId, event, args, socketId: socket.id, userId: socketToUserMap[socket.id] || null, address: socket.handshake.address });
+            });
+        }
+    };
+}
+
+// Runs an event forwarded by the instance the socket is connected to; replies go back through the adapter
+function runRemoteCommand({ roomId, event, args, socketId, userId, address }) {
+    if (!rooms[roomId]) return;
+    if (userId && !socketToUserMap[socketId]) {
+        socketToUserMap[socketId] = userId;
+        userToSocketMap[userId] = socketId;
+    }
+    const handlers = {};
+    registerSocketHandlers({
+        id: socketId,
+        handshake: { address },
+        emit: (...payload) => io.to(socketId).emit(...payload),
+        join: room => io.in(socketId).socketsJoin(room),
+        leave: room => io.in(socketId).socketsLeave(room),
+        on: (name, handler) => { handlers[name] = handler; }
+    });
+    if (handlers[event]) handlers[event](...args);
+}
+
+if (roomLeases) {
+    io.on("room-command", runRemoteCommand);
+    io.on("list-public-rooms", reply => reply(getPublicRoomSummaries()));
+    io.on("socket-bound", ({ socketId, userId }) => {
+        socketToUserMap[socketId] = userId;
+        userToSocketMap[userId] = socketId;
+    });
+    io.on("socket-unbound", ({ socketId }) => {
+        const userId = socketToUserMap[socketId];
+        if (userId && userToSocketMap[userId] === socketId) delete userToSocketMap[userId];
+        delete socketToUserMap[socketId];
+    });
+    setInterval(() => {
+        renewRoomLeases();
+        adoptOrphanedRooms();
+    }, OWNER_RENEW_MS).unref();
 }
 
 // Initialize Data
@@ -354,148 +2124,190 @@ loadGameData();
 
 // --- SOCKET CONNECTION ---
 io.on("connection", (socket) => {
+    registerSocketHandlers(roomLeases ? routeRoomCommands(socket) : socket);
+});
 
-  socket.on("rejoin-game", ({ userId, roomId }) => {
-      userId = sanitizeInput(userId, 100);
-      roomId = sanitizeInput(roomId, 20).toUpperCase();
-      socketToUserMap[socket.id] = userId;
-      userToSocketMap[userId] = socket.id;
+// socket is a real socket, or a stand-in for one connected to another instance (see routeRoomCommands)
+function registerSocketHandlers(socket) {
+
+  socket.on("rejoin-game", ({ token }) => {
+      const session = verifySessionToken(token);
+      const userId = session ? session.userId : null;
+      const roomId = session ? session.roomId : null;
 
       if (roomId && rooms[roomId]) {
           const room = rooms[roomId];
           const team = room.teams[userId];
 
           if (team) {
+              bindSocketToUser(socket, userId);
               socket.join(roomId);
-              socket.emit("joined-room", { roomId, team, isHost: (room.hostId === userId) });
-              io.to(roomId).emit("teams-updated", Object.values(room.teams));
+              socket.emit("joined-room", { roomId, team, isHost: (room.hostId === userId), token, config: room.config, access: getAccessSummary(room.access), playerDb: getPlayerDbSummary(room) });
+              socket.emit("proxy-bids-updated", getProxyBidsPayload(room, userId));
+              emitTeamsUpdated(roomId);
               
-              if(room.auction.phase === "AUCTION" && room.auction.biddingOpen) {
-                  const player = room.auction.playerPool[room.auction.currentPlayerIndex];
-                  socket.emit("new-player", { player, currentBid: room.auction.currentBid });
-                  if(room.auction.currentBidderId) {
-                      const leader = room.teams[room.auction.currentBidderId];
-                      socket.emit("bid-updated", { 
-                          currentBid: room.auction.currentBid, 
-                          bidderId: room.auction.currentBidderId, 
-                          bidderName: leader ? leader.name : "Unknown"
-                      });
-                  }
-                  socket.emit("timer-update", room.auction.timeLeft || 10);
-              } else if(room.auction.phase === "SELECTION") {
-                  socket.emit("start-selection-phase");
-              } else if(room.auction.phase === "RESULT") {
-                  emitResults(roomId);
-              }
+              sendRoomState(socket, room);
               return;
           }
       }
       socket.emit("error-message", "Session expired or room closed.");
   });
 
-  socket.on("create-room", ({ teamName, purse, userId }) => {
-    userId = sanitizeInput(userId, 100);
+  socket.on("create-room", async ({ teamName, purse, rules, access, playerDb, profileToken }) => {
+    // An uploaded player list is checked before anything else; a bad one is sent back row by row
+    let playerDatabase = null;
+    if (playerDb && typeof playerDb === 'object' && playerDb.text) {
+        const { players, errors } = parsePlayerDatabase(playerDb.text, playerDb.format === "csv" || playerDb.format === "json" ? playerDb.format : null);
+        if (errors.length) return socket.emit("player-db-invalid", { errors: errors.slice(0, MAX_PLAYER_DB_ERRORS_SENT), total: errors.length });
+        playerDatabase = { name: sanitizeInput(playerDb.name, 40) || "Custom players", players };
+    }
+
+    // Hashed before the code is reserved, so nothing waits between reserving it and creating the room
+    const roomAccess = await sanitizeRoomAccess(access);
+    let roomId;
+    try {
+        roomId = await reserveRoomCode();
+    } catch (e) {
+        console.error("Failed to reserve a room code", e);
+        return socket.emit("error-message", "Could not create a room, please try again.");
+    }
+
+    const userId = generateUserId();
     teamName = sanitizeInput(teamName, 30) || "Team";
-    socketToUserMap[socket.id] = userId;
+    bindSocketToUser(socket, userId);
     
-    const roomId = Math.random().toString(36).substr(2, 6).toUpperCase();
-    const hostPurse = Math.max(50, Math.min(500, parseFloat(purse) || 100));
+    const config = sanitizeRoomConfig({ ...rules, startingPurse: purse });
 
-    let initialPool = loadPlayerDatabase();
-    if(initialPool.length > 0) initialPool = shuffleArray(initialPool);
-    else initialPool = [{ id: "err", name: "No Players Found", role: "N/A", rating: 0, basePrice: 0 }];
+    const initialPool = buildPlayerPool(config.poolOrder, playerDatabase);
 
     rooms[roomId] = {
+      id: roomId,
       hostId: userId,
-      config: { startingPurse: hostPurse }, 
+      config, 
+      access: roomAccess,
       teams: {
-        [userId]: { id: userId, name: teamName, purse: hostPurse, squad: [], isEliminated: false, isFinishedBidding: false, submitted11: false, totalScore: 0 }
+        [userId]: { ...createTeam(userId, teamName, config), profileId: verifyProfileToken(profileToken) }
       },
       auction: {
-        playerPool: initialPool, currentPlayerIndex: 0, currentBid: 0, currentBidderId: null, biddingOpen: false, phase: "LOBBY", skippedBy: new Set(), timeLeft: 10, timer: null
+        playerPool: initialPool, currentPlayerIndex: 0, currentBid: 0, currentBidderId: null, biddingOpen: false, phase: "LOBBY", skippedBy: new Set(), timeLeft: config.bidTimer, timer: null,
+        unsoldPlayers: [], nominations: {}, acceleratedTimer: getDefaultAcceleratedTimer(config.bidTimer), rtmPending: null,
+        proxyBids: {}, proxySeq: 0, paused: false, lastSale: null, bidHistory: [], trades: [], tradeSeq: 0,
+        sealedBids: {}, sealedSeq: 0
       },
+      playerDatabase,
+      auditLog: [],
+      eventLog: [],
+      kickedIds: [],
       lastActivity: Date.now(),
-      nextPlayerTimeout: null
+      nextPlayerTimeout: null,
+      rtmTimeout: null
     };
+    recordEvent(rooms[roomId], "team-joined", { teamId: userId, teamName, purse: config.startingPurse });
 
-    saveGameData();
+    saveGameData(roomId);
     socket.join(roomId);
-    socket.emit("room-created", { roomId, team: rooms[roomId].teams[userId], isHost: true });
-    io.to(roomId).emit("teams-updated", Object.values(rooms[roomId].teams));
+    socket.emit("room-created", { roomId, team: rooms[roomId].teams[userId], isHost: true, token: issueSessionToken(userId, roomId), config, access: getAccessSummary(rooms[roomId].access), playerDb: getPlayerDbSummary(rooms[roomId]) });
+    emitTeamsUpdated(roomId);
   });
 
-  socket.on("join-room", ({ roomId, teamName, userId }) => {
-    userId = sanitizeInput(userId, 100);
+  socket.on("join-room", async ({ roomId, teamName, token, password, profileToken }) => {
     roomId = sanitizeInput(roomId, 20).toUpperCase();
     teamName = sanitizeInput(teamName, 30) || "Team";
-    socketToUserMap[socket.id] = userId;
     
     const room = rooms[roomId];
     if (!room) return socket.emit("error-message", "Room not found");
 
+    // A valid token for this room re-attaches to the existing team, otherwise a new identity is issued
+    const session = verifySessionToken(token);
+    const userId = (session && session.roomId === roomId) ? session.userId : generateUserId();
+    if (room.kickedIds.includes(userId)) return socket.emit("error-message", "You were removed from this room by the host");
+    // Lock, capacity and password only stop new teams; a returning team already passed them
+    if (!room.teams[userId]) {
+      const passwordRefusal = await verifyRoomPassword(room, password, `ip:${socket.handshake.address}`);
+      if (passwordRefusal) return emitPasswordRefusal(socket, roomId, passwordRefusal, false);
+      // Checked after the password: the room may have started, filled up or closed meanwhile
+      if (rooms[roomId] !== room) return socket.emit("error-message", "Room not found");
+      const refusal = getJoinRefusal(room.access, { teamCount: Object.keys(room.teams).length, started: room.auction.phase !== "LOBBY" });
+      if (refusal) return socket.emit("error-message", JOIN_REFUSALS[refusal]);
+    }
+    bindSocketToUser(socket, userId);
+
     if (!room.teams[userId]) {
-      room.teams[userId] = { id: userId, name: teamName, purse: room.config.startingPurse, squad: [], isEliminated: false, isFinishedBidding: false, submitted11: false, totalScore: 0 };
+      room.teams[userId] = { ...createTeam(userId, teamName, room.config), profileId: verifyProfileToken(profileToken) };
+      recordEvent(room, "team-joined", { teamId: userId, teamName, purse: room.teams[userId].purse });
     }
 
     updateRoomActivity(roomId);
-    saveGameData();
+    saveGameData(roomId);
     socket.join(roomId);
-    socket.emit("joined-room", { roomId, team: room.teams[userId], isHost: (userId === room.hostId) });
+    socket.emit("joined-room", { roomId, team: room.teams[userId], isHost: (userId === room.hostId), token: issueSessionToken(userId, roomId), config: room.config, access: getAccessSummary(room.access), playerDb: getPlayerDbSummary(room) });
+    socket.emit("proxy-bids-updated", getProxyBidsPayload(room, userId));
     
-    if(room.auction.phase === "AUCTION" && room.auction.biddingOpen) {
-        const player = room.auction.playerPool[room.auction.currentPlayerIndex];
-        socket.emit("new-player", { player, currentBid: room.auction.currentBid });
-        socket.emit("timer-update", room.auction.timeLeft);
-    } else if(room.auction.phase === "SELECTION") socket.emit("start-selection-phase");
-    else if (room.auction.phase === "RESULT") emitResults(roomId);
+    sendRoomState(socket, room);
 
     checkEliminations(room);
-    io.to(roomId).emit("teams-updated", Object.values(room.teams));
+    emitTeamsUpdated(roomId);
   });
 
-  socket.on("leave-room", ({ roomId, userId }) => {
+  // Watchers get every room broadcast but never a team, so they cannot bid or hold up skips and completion
+  socket.on("spectate-room", async ({ roomId, password }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room) return socket.emit("error-message", "Room not found");
+    const passwordRefusal = await verifyRoomPassword(room, password, `ip:${socket.handshake.address}`);
+    if (passwordRefusal) return emitPasswordRefusal(socket, roomId, passwordRefusal, true);
+    if (rooms[roomId] !== room) return socket.emit("error-message", "Room not found");
+
+    socket.join(roomId);
+    socket.emit("spectating", { roomId, config: room.config });
+    socket.emit("teams-updated", Object.values(room.teams));
+    socket.emit("squad-needs", getSquadNeedsPayload(room));
+    sendRoomState(socket, room);
+  });
+  socket.on("leave-room", ({ roomId }) => {
     roomId = sanitizeInput(roomId, 20).toUpperCase();
-    userId = sanitizeInput(userId, 100);
+    const userId = socketToUserMap[socket.id];
     
     if(roomId && rooms[roomId]) {
         const room = rooms[roomId];
-        if (room.teams[userId]) delete room.teams[userId];
+        if (room.teams[userId]) {
+            recordEvent(room, "team-left", { teamId: userId, teamName: room.teams[userId].name });
+            delete room.teams[userId];
+        }
         
         if (room.hostId === userId) {
-            const remainingIds = Object.keys(room.teams);
+            // Bots cannot host, so a room with only bots left is closed
+            const remainingIds = Object.keys(room.teams).filter(id => !room.teams[id].isBot);
             if (remainingIds.length > 0) room.hostId = remainingIds[0];
-            else {
-                if (room.auction.timer) clearInterval(room.auction.timer);
-                if (room.nextPlayerTimeout) clearTimeout(room.nextPlayerTimeout);
-                delete rooms[roomId];
-            }
+            else closeRoom(roomId);
         }
         
-        saveGameData();
+        saveGameData(roomId);
         if(rooms[roomId]) {
-            io.to(roomId).emit("teams-updated", Object.values(room.teams));
+            emitTeamsUpdated(roomId);
+            if (room.auction.biddingOpen && !room.auction.paused && isSealedAuction(room)) closeSealedLotIfDone(roomId);
             checkAuctionCompletion(roomId);
         }
         socket.leave(roomId);
     }
-    delete socketToUserMap[socket.id];
+    unbindSocket(socket);
   });
 
   socket.on("disconnect", () => {
-      delete socketToUserMap[socket.id];
+      unbindSocket(socket);
   });
 
-  socket.on("finish-bidding-for-me", ({ roomId, userId }) => {
+  socket.on("finish-bidding-for-me", ({ roomId }) => {
       roomId = sanitizeInput(roomId, 20).toUpperCase();
-      userId = sanitizeInput(userId, 100);
+      const userId = socketToUserMap[socket.id];
       const room = rooms[roomId];
       if(!room) return;
       const team = room.teams[userId];
-      if(team && team.squad.length >= MIN_SQUAD_TO_PLAY && !team.isEliminated) {
+      if(team && team.squad.length >= room.config.minSquadToPlay && !team.isEliminated) {
           team.isFinishedBidding = true;
           updateRoomActivity(roomId);
-          saveGameData();
-          io.to(roomId).emit("teams-updated", Object.values(room.teams));
+          saveGameData(roomId);
+          emitTeamsUpdated(roomId);
           checkAuctionCompletion(roomId);
       }
   });
@@ -505,190 +2317,572 @@ io.on("connection", (socket) => {
     roomId = sanitizeInput(roomId, 20).toUpperCase();
     const room = rooms[roomId];
     if (!room || room.hostId !== userId) return;
-    if (room.auction.phase !== "LOBBY") return;
+    if (room.auction.phase === "LOBBY" && isRetentionEnabled(room.config)) return openRetentionPhase(roomId);
+    if (room.auction.phase !== "LOBBY" && room.auction.phase !== "RETENTION") return;
 
-    room.auction.phase = "AUCTION";
+    if (room.auction.phase === "RETENTION") {
+        finalizeRetentions(room);
+        emitTeamsUpdated(roomId);
+    }
+    setPhase(room, "AUCTION");
     updateRoomActivity(roomId);
-    saveGameData();
+    saveGameData(roomId);
     io.to(roomId).emit("auction-started-signal");
     startNextPlayer(roomId);
   });
 
-  socket.on("place-bid", ({ roomId, bidAmount, userId }) => {
+  socket.on("toggle-retention", ({ roomId, playerId }) => {
+    const userId = socketToUserMap[socket.id];
     roomId = sanitizeInput(roomId, 20).toUpperCase();
-    userId = sanitizeInput(userId, 100);
-    bidAmount = parseFloat(bidAmount);
-    
+    playerId = sanitizeInput(playerId, 100);
     const room = rooms[roomId];
-    if (!room || !room.auction.biddingOpen) return;
-    
-    const auction = room.auction;
+    if (!room || room.auction.phase !== "RETENTION") return;
+    const team = room.teams[userId];
+    if (!team) return;
+
+    if (team.retentions.includes(playerId)) {
+        team.retentions = team.retentions.filter(id => id !== playerId);
+    } else {
+        const player = room.auction.playerPool.find(p => p.id === playerId);
+        if (!player) return;
+        if (findPlayerClaim(room, playerId)) return socket.emit("error-message", "Another team already holds this player.");
+        if (team.retentions.length >= room.config.maxRetentions) return socket.emit("error-message", "Retention limit reached.");
+        if (getRetentionCost(team.retentions.length + 1) > team.purse) return socket.emit("error-message", "Not enough purse for another retention.");
+        if (player.country === "Overseas") {
+            const overseasRetained = team.retentions.filter(id => {
+                const p = room.auction.playerPool.find(pl => pl.id === id);
+                return p && p.country === "Overseas";
+            }).length;
+            if (overseasRetained >= room.config.maxOverseasSquad) return socket.emit("error-message", "Overseas limit reached.");
+        }
+        team.retentions.push(playerId);
+    }
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    emitTeamsUpdated(roomId);
+  });
+
+  socket.on("toggle-rtm-claim", ({ roomId, playerId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    playerId = sanitizeInput(playerId, 100);
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "RETENTION") return;
+    const team = room.teams[userId];
+    if (!team) return;
+
+    if (team.rtmClaims.includes(playerId)) {
+        team.rtmClaims = team.rtmClaims.filter(id => id !== playerId);
+    } else {
+        if (!room.auction.playerPool.some(p => p.id === playerId)) return;
+        if (findPlayerClaim(room, playerId)) return socket.emit("error-message", "Another team already holds this player.");
+        if (team.rtmClaims.length >= room.config.rtmCards * RTM_CLAIMS_PER_CARD) return socket.emit("error-message", "RTM claim limit reached.");
+        team.rtmClaims.push(playerId);
+    }
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    emitTeamsUpdated(roomId);
+  });
+
+  socket.on("use-rtm", ({ roomId, accept }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || !room.auction.rtmPending || room.auction.rtmPending.ownerId !== userId) return;
+    updateRoomActivity(roomId);
+    settleRightToMatch(roomId, accept === true);
+  });
+
+  socket.on("play-next-fixture", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    playNextFixture(roomId);
+  });
+
+  socket.on("nominate-unsold", ({ roomId, playerId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    playerId = sanitizeInput(playerId, 100);
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "UNSOLD_NOMINATION") return;
     const team = room.teams[userId];
-    
     if (!team || team.isEliminated || team.isFinishedBidding) return;
-    if (team.squad.length >= MAX_SQUAD_SIZE) return;
-    
-    const minBid = auction.currentBid + BID_INCREMENT;
-    if (bidAmount < minBid || bidAmount > team.purse) return;
+    if (!room.auction.unsoldPlayers.some(p => p.id === playerId)) return;
 
-    const player = auction.playerPool[auction.currentPlayerIndex];
-    if (player.country === "Overseas") {
-        const overseasCount = team.squad.filter(p => p.country === "Overseas").length;
-        if (overseasCount >= MAX_OVERSEAS_SQUAD) return; 
+    // Toggle this team's nomination
+    const nominations = room.auction.nominations;
+    const voters = nominations[playerId] || [];
+    nominations[playerId] = voters.includes(userId) ? voters.filter(id => id !== userId) : [...voters, userId];
+    if (nominations[playerId].length === 0) delete nominations[playerId];
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("unsold-nominations-updated", getUnsoldRoundState(room).nominations);
+  });
+
+  socket.on("start-accelerated-round", ({ roomId, timer, priceFactor }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    startAcceleratedRound(roomId, timer, priceFactor);
+  });
+
+  socket.on("skip-accelerated-round", ({ roomId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId || room.auction.phase !== "UNSOLD_NOMINATION") return;
+    endAuctionPhase(roomId);
+  });
+
+  socket.on("propose-trade", ({ roomId, toTeamId, give, receive, cash }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "TRADE" || !room.teams[userId]) return;
+    const target = Object.hasOwn(room.teams, toTeamId) ? room.teams[toTeamId] : null;
+    if (!target || target.id === userId) return socket.emit("error-message", "Pick another team to trade with.");
+    if (target.isBot) return socket.emit("error-message", "Bot teams do not trade.");
+
+    const trade = {
+        id: room.auction.tradeSeq + 1, fromId: userId, toId: target.id,
+        give: sanitizePlayerIds(give), receive: sanitizePlayerIds(receive),
+        cash: parseFloat((parseFloat(cash) || 0).toFixed(2)), status: "pending", at: Date.now()
+    };
+    const invalid = checkProposal(trade);
+    if (invalid) return socket.emit("error-message", invalid);
+    const pending = room.auction.trades.filter(t => t.fromId === userId && t.status === "pending").length;
+    if (pending >= MAX_PENDING_TRADES) return socket.emit("error-message", `At most ${MAX_PENDING_TRADES} open proposals at a time.`);
+    const { error } = checkTrade(room, trade);
+    if (error) return socket.emit("error-message", error);
+
+    room.auction.tradeSeq = trade.id;
+    room.auction.trades.push({ ...trade, message: describeTrade(room, trade).message });
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("trades-updated", getTradeState(room));
+  });
+
+  socket.on("respond-trade", ({ roomId, tradeId, accept }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "TRADE") return;
+    const trade = room.auction.trades.find(t => t.id === Number(tradeId) && t.status === "pending");
+    if (!trade || trade.toId !== userId) return;
+
+    if (accept !== true) {
+        trade.status = "rejected";
+        updateRoomActivity(roomId);
+        saveGameData(roomId);
+        return io.to(roomId).emit("trades-updated", getTradeState(room));
+    }
+    const error = completeTrade(roomId, trade);
+    if (error) {
+        trade.status = "void";
+        updateRoomActivity(roomId);
+        saveGameData(roomId);
+        socket.emit("error-message", error);
+        io.to(roomId).emit("trades-updated", getTradeState(room));
     }
+  });
 
-    auction.currentBid = parseFloat(bidAmount.toFixed(2));
-    auction.currentBidderId = userId;
-    auction.skippedBy = new Set();
-    
+  socket.on("withdraw-trade", ({ roomId, tradeId }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.auction.phase !== "TRADE") return;
+    const trade = room.auction.trades.find(t => t.id === Number(tradeId) && t.status === "pending");
+    if (!trade || trade.fromId !== userId) return;
+    trade.status = "withdrawn";
     updateRoomActivity(roomId);
-    io.to(roomId).emit("bid-updated", { currentBid: auction.currentBid, bidderId: userId, bidderName: team.name });
-    startAuctionTimer(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("trades-updated", getTradeState(room));
   });
 
-  socket.on("skip-for-me", ({ roomId, userId }) => {
+  socket.on("host-veto-trade", ({ roomId, tradeId }) => {
     roomId = sanitizeInput(roomId, 20).toUpperCase();
-    userId = sanitizeInput(userId, 100);
-    
     const room = rooms[roomId];
-    if (!room || !room.auction.biddingOpen) return;
-    const auction = room.auction;
+    if (!room || room.hostId !== socketToUserMap[socket.id] || room.auction.phase !== "TRADE") return;
+    const trade = room.auction.trades.find(t => t.id === Number(tradeId) && t.status === "pending");
+    if (!trade) return;
+    trade.status = "vetoed";
+    logHostAction(roomId, "veto-trade", `Vetoed trade: ${trade.message}`);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("trades-updated", getTradeState(room));
+  });
 
-    if (!auction.skippedBy.has(userId)) auction.skippedBy.add(userId);
+  socket.on("close-trade-window", ({ roomId }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== socketToUserMap[socket.id] || room.auction.phase !== "TRADE") return;
+    // Anything still open lapses with the window
+    room.auction.trades.forEach(t => { if (t.status === "pending") t.status = "void"; });
+    logHostAction(roomId, "close-trades", "Closed the trade window");
+    startSelection(roomId);
+  });
 
-    const teams = Object.values(room.teams);
-    const activeBidders = teams.filter(t => !t.isEliminated && !t.isFinishedBidding && t.squad.length < MAX_SQUAD_SIZE);
-    const requiredSkips = auction.currentBidderId ? (activeBidders.length - 1) : activeBidders.length;
+  socket.on("add-bot", ({ roomId, personality }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const userId = socketToUserMap[socket.id];
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId || room.auction.phase !== "LOBBY") return;
+    if (!BOT_PERSONALITIES[personality]) return socket.emit("error-message", "Unknown bot personality");
+    if (Object.values(room.teams).filter(t => t.isBot).length >= MAX_BOT_TEAMS) {
+        return socket.emit("error-message", `At most ${MAX_BOT_TEAMS} bot teams`);
+    }
+    if (Object.keys(room.teams).length >= room.access.maxTeams) return socket.emit("error-message", JOIN_REFUSALS.full);
 
-    if (auction.skippedBy.size >= requiredSkips && activeBidders.length > 0) {
-        if (auction.timer) clearInterval(auction.timer);
-        if (auction.currentBidderId) finishBidding(roomId);
-        else finishPlayerUnsold(roomId);
+    const bot = createBotTeam(room, personality);
+    room.teams[bot.id] = bot;
+    recordEvent(room, "team-joined", { teamId: bot.id, teamName: bot.name, purse: bot.purse, isBot: true });
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    emitTeamsUpdated(roomId);
+  });
+  socket.on("remove-bot", ({ roomId, botId }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const userId = socketToUserMap[socket.id];
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId || room.auction.phase !== "LOBBY") return;
+    const bot = room.teams[botId];
+    if (!bot || !bot.isBot) return;
+
+    delete room.teams[botId];
+    recordEvent(room, "team-left", { teamId: botId, teamName: bot.name });
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    emitTeamsUpdated(roomId);
+  });
+  socket.on("host-pause", ({ roomId }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== socketToUserMap[socket.id]) return;
+    if (!pauseAuction(roomId)) return;
+    logHostAction(roomId, "pause", "Host paused the auction");
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+  });
+  socket.on("host-resume", ({ roomId }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== socketToUserMap[socket.id]) return;
+    if (!resumeAuction(roomId)) return;
+    logHostAction(roomId, "resume", "Host resumed the auction");
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+  });
+  socket.on("host-skip-player", ({ roomId }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== socketToUserMap[socket.id]) return;
+    const player = skipCurrentPlayer(roomId);
+    if (!player) return;
+    logHostAction(roomId, "skip-player", `Host skipped ${player.name}`);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+  });
+  socket.on("host-undo-sale", ({ roomId }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== socketToUserMap[socket.id]) return;
+    const undone = undoLastSale(roomId);
+    if (!undone) return socket.emit("error-message", "No sale to undo");
+    logHostAction(roomId, "undo-sale", `Host undid the sale of ${undone.player.name} to ${undone.team.name} for ₹${undone.price} Cr`);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    emitTeamsUpdated(roomId);
+  });
+  socket.on("host-kick-team", ({ roomId, teamId }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== socketToUserMap[socket.id]) return;
+    const team = kickTeam(roomId, teamId);
+    if (!team) return;
+    logHostAction(roomId, "kick", `Host removed ${team.name}`);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    emitTeamsUpdated(roomId);
+    checkAuctionCompletion(roomId);
+    checkSelectionComplete(roomId);
+  });
+  socket.on("host-rename-team", ({ roomId, teamId, name }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== socketToUserMap[socket.id]) return;
+    if (!Object.hasOwn(room.teams, teamId)) return;
+    const team = room.teams[teamId];
+    name = sanitizeInput(name, 30);
+    if (!team || !name || name === team.name) return;
+    const oldName = team.name;
+    team.name = name;
+    recordEvent(room, "team-renamed", { teamId, teamName: name });
+    logHostAction(roomId, "rename", `Host renamed ${oldName} to ${name}`);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    emitTeamsUpdated(roomId);
+  });
+  socket.on("update-room-config", ({ roomId, rules }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+    if (room.auction.phase !== "LOBBY") return socket.emit("error-message", "Rules are locked once the auction starts.");
+
+    const previousPurse = room.config.startingPurse;
+    const previousOrder = room.config.poolOrder;
+    room.config = sanitizeRoomConfig(rules, room.config);
+
+    if (room.config.poolOrder !== previousOrder) room.auction.playerPool = buildPlayerPool(room.config.poolOrder, room.playerDatabase);
+
+    // Nobody has spent anything in the lobby, so purses follow the new starting purse
+    if (room.config.startingPurse !== previousPurse) {
+        Object.values(room.teams).forEach(t => { t.purse = room.config.startingPurse; });
     }
+    Object.values(room.teams).forEach(t => { t.rtmCards = room.config.rtmCards; });
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("room-config-updated", room.config);
+    emitTeamsUpdated(roomId);
+  });
+
+  // Unlike the rules, access can change at any time, e.g. to let one more team into a running auction
+  socket.on("update-room-access", async ({ roomId, access }) => {
+    const userId = socketToUserMap[socket.id];
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || room.hostId !== userId) return;
+
+    const updated = await sanitizeRoomAccess(access, room.access);
+    if (rooms[roomId] !== room) return;
+    room.access = updated;
+    const summary = getAccessSummary(room.access);
+    logHostAction(roomId, "access", `Room is ${summary.visibility}${summary.hasPassword ? " with a password" : ""}, up to ${summary.maxTeams} teams${summary.lockAfterStart ? ", locked once started" : ""}`);
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    io.to(roomId).emit("room-access-updated", summary);
+  });
+
+  socket.on("place-bid", ({ roomId, bidAmount }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const userId = socketToUserMap[socket.id];
+    if (placeBid(roomId, userId, bidAmount)) return;
+    // Squad rules are the one refusal a bidder cannot see coming, so say why
+    const room = rooms[roomId];
+    if (!room || !room.auction.biddingOpen || !room.teams[userId]) return;
+    if (isSealedAuction(room) && room.auction.sealedBids[userId]) return socket.emit("error-message", "Your sealed bid for this player is already in.");
+    if (isSealedAuction(room) && parseFloat(bidAmount) < room.auction.currentBid) return socket.emit("error-message", `Sealed bids start at the reserve of ₹${room.auction.currentBid} Cr.`);
+    const player = room.auction.playerPool[room.auction.currentPlayerIndex];
+    const reason = checkComposition(room.teams[userId], player, parseFloat(bidAmount), room.config.roleLimits, getCompositionContext(room, player));
+    if (reason) socket.emit("error-message", reason);
+  });
+  socket.on("skip-for-me", ({ roomId }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    registerSkip(roomId, socketToUserMap[socket.id]);
   });
+  // A ceiling of 0 (or less) clears the proxy; the current lot or any player still to come can be targeted
+  socket.on("set-proxy-bid", ({ roomId, playerId, maxBid }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const userId = socketToUserMap[socket.id];
+    const room = rooms[roomId];
+    if (!room || !room.teams[userId]) return;
+    const auction = room.auction;
+    if (!isBiddingPhase(auction.phase) && auction.phase !== "LOBBY" && auction.phase !== "RETENTION") return;
+    if (isSealedAuction(room)) return socket.emit("error-message", "Auto-bids are off in a sealed-bid auction");
+
+    // Relisted players appear twice in the pool, so only look from the current lot onwards
+    const index = auction.playerPool.findIndex((p, i) => p.id === playerId && i >= auction.currentPlayerIndex);
+    if (index < 0) return socket.emit("error-message", "That player is no longer up for auction");
+    const isCurrentLot = index === auction.currentPlayerIndex && auction.biddingOpen;
 
-  socket.on("submit-playing-11", ({ roomId, playerIds, cId, vcId, userId }) => {
+    const max = parseFloat(parseFloat(maxBid).toFixed(2));
+    const own = auction.proxyBids[userId] || (auction.proxyBids[userId] = {});
+    if (!(max > 0)) delete own[playerId];
+    else if (max > room.teams[userId].purse) return socket.emit("error-message", "Ceiling is above your purse");
+    else own[playerId] = { max, seq: ++auction.proxySeq };
+
+    updateRoomActivity(roomId);
+    saveGameData(roomId);
+    socket.emit("proxy-bids-updated", getProxyBidsPayload(room, userId));
+    if (isCurrentLot) resolveProxyBids(roomId);
+  });
+  socket.on("get-upcoming-players", ({ roomId }) => {
+    roomId = sanitizeInput(roomId, 20).toUpperCase();
+    const room = rooms[roomId];
+    if (!room || !room.teams[socketToUserMap[socket.id]]) return;
+    const auction = room.auction;
+    socket.emit("upcoming-players", auction.playerPool.slice(auction.currentPlayerIndex).map(p => ({
+        id: p.id, name: p.name, role: p.role, country: p.country, basePrice: p.basePrice, set: p.set
+    })));
+  });
+  socket.on("submit-playing-11", ({ roomId, playerIds, cId, vcId, battingOrder }) => {
       roomId = sanitizeInput(roomId, 20).toUpperCase();
-      userId = sanitizeInput(userId, 100);
+      const userId = socketToUserMap[socket.id];
       const room = rooms[roomId];
       if(!room) return;
       const team = room.teams[userId];
       if (!team) return;
+      // Between tournament fixtures the same submission swaps the XI for the next match
+      const phase = room.auction.phase;
+      if (phase !== "SELECTION" && phase !== "TOURNAMENT") return;
+      if (!applyPlayingXI(room, team, { playerIds, cId, vcId, battingOrder })) return;
       
-      const requiredSelection = Math.min(PLAYING_11_SIZE, team.squad.length);
-      if(!Array.isArray(playerIds) || playerIds.length !== requiredSelection) return;
-      
-      const selectedPlayers = team.squad.filter(p => playerIds.includes(p.id));
-      if (selectedPlayers.length !== requiredSelection) return;
-      
-      // Overseas Check
-      const overseasInP11 = selectedPlayers.filter(p => p.country === "Overseas").length;
-      if (overseasInP11 > MAX_OVERSEAS_P11) return;
-      
-      const captain = selectedPlayers.find(p => p.id === cId);
-      const viceCaptain = selectedPlayers.find(p => p.id === vcId);
-      if(!captain || !viceCaptain || cId === vcId) return;
-
-      const getEffectiveRating = (p) => {
-          const factor = p.soldPrice / p.basePrice;
-          let finalRating = p.rating;
-          if (p.rating > 91 && factor <= 6) finalRating = p.rating +2 ;
-          if (p.rating > 91 && factor >= 9) finalRating = p.rating -5 ;
-          else if (p.rating > 88 && factor >= 8) finalRating = p.rating - 5;
-          else if (p.rating > 88 && factor < 6) finalRating = p.rating + 5;
-          else if (factor < 3) finalRating = p.rating + 5;
-          return Math.max(0, finalRating);
-      };
-
-      const cEffRating = getEffectiveRating(captain);
-      const vcEffRating = getEffectiveRating(viceCaptain);
-
-      let score = (cEffRating * 2) + (vcEffRating * 1.5);
-      const leadershipBonus = (cEffRating * 0.10) + (vcEffRating * 0.05);
-      
-      selectedPlayers.forEach(p => {
-          if (p.id !== cId && p.id !== vcId) {
-              score += (getEffectiveRating(p) + leadershipBonus);
-          }
-      });
-
-      // ... (existing score calculation loop ends here)
+      updateRoomActivity(roomId);
+      saveGameData(roomId);
 
-      // ============================================================
-      // NEW LOGIC: TEAM BALANCE STRATEGY
-      // ============================================================
-      
-      let wkCount = 0;
-      let batCount = 0;
-      let bowlCount = 0;
-      let arCount = 0;
-
-      // 1. Count Roles
-      selectedPlayers.forEach(p => {
-          const r = p.role.toLowerCase();
-          if (r.includes("wicket") || r === "wk") wkCount++;
-          else if (r === "batsman" || r === "bat") batCount++;
-          else if (r === "bowler" || r === "bowl") bowlCount++;
-          else if (r.includes("all") || r === "ar") arCount++;
-      });
-
-      let balancePenalty = 0;
-      const penaltyLog = []; // To track why points were cut (optional for debugging)
-
-      // 2. CONSTRAINT: Too Many Wicketkeepers
-      // If WKs > 2, minus 20 points per extra WK
-      if (wkCount > 2) {
-          const extraWks = wkCount - 2;
-          const pen = extraWks * 20;
-          balancePenalty += pen;
-          penaltyLog.push(`Too many WKs (-${pen})`);
+      if (phase === "TOURNAMENT") {
+          emitTeamsUpdated(roomId);
+          return;
       }
 
-      // 3. CONSTRAINT: Bowling Depth
-      // A team needs 5 bowling options (Bowlers + ARs). 
-      // If < 5, minus 25 points per missing option.
-      const bowlingOptions = bowlCount + arCount;
-      if (bowlingOptions < 5) {
-          const missingOptions = 5 - bowlingOptions;
-          const pen = missingOptions * 25;
-          balancePenalty += pen;
-          penaltyLog.push(`Weak Bowling (-${pen})`);
-      }
+      checkSelectionComplete(roomId);
+  });
 
-      // 4. CONSTRAINT: Batting Depth
-      // A team needs at least 3 pure Batsmen (excluding ARs/WKs) to be stable
-      if (batCount < 3) {
-          const missingBats = 3 - batCount;
-          const pen = missingBats * 15;
-          balancePenalty += pen;
-          penaltyLog.push(`Weak Batting Core (-${pen})`);
+  // Profiles live outside rooms; a missing or invalid token starts a new one, saved with its first change
+  socket.on("load-profile", async ({ profileToken }) => {
+      // A token that no longer verifies is reported rather than swapped for a new identity
+      if (profileToken && !verifyProfileToken(profileToken)) return socket.emit("profile-rejected");
+      const profileId = verifyProfileToken(profileToken) || generateProfileId();
+      try {
+          const profile = (await profileStore.load(profileId)) || createProfile(profileId);
+          socket.emit("profile-loaded", getProfilePayload(profile));
+      } catch (e) {
+          console.error(`Failed to load profile ${profileId}`, e);
+          socket.emit("error-message", "Could not load your profile.");
+      }
+  });
+  socket.on("update-profile", async ({ profileToken, displayName, favouriteTeam }) => {
+      const profileId = verifyProfileToken(profileToken);
+      if (!profileId) return socket.emit("error-message", "Profile not found, please reload.");
+      try {
+          const profile = await updateProfile(profileId, p => { updateProfileDetails(p, { displayName, favouriteTeam }); });
+          socket.emit("profile-loaded", getProfilePayload(profile));
+      } catch (e) {
+          console.error(`Failed to update profile ${profileId}`, e);
+          socket.emit("error-message", "Could not save your profile.");
       }
+  });
+}
 
-      // Apply Penalty to Score
-      score -= balancePenalty;
+// --- AUCTION EXPORT (HTTP) ---
+// GET /api/rooms/:roomId/export       full event log, config and squads as JSON (also feeds the replay viewer)
+// GET /api/rooms/:roomId/export.csv   one row per event
+// GET /api/rooms/:roomId/squads.csv   one row per player bought or retained, with prices
+// Each takes ?password= or ?token= (a team's session token) when the room has a password
+
+function getAuctionExport(roomId, room) {
+    return {
+        roomId,
+        exportedAt: new Date().toISOString(),
+        phase: room.auction.phase,
+        config: room.config,
+        teams: Object.values(room.teams).map(t => ({
+            id: t.id, name: t.name, isBot: !!t.isBot, purse: t.purse,
+            spent: parseFloat(t.squad.reduce((sum, p) => sum + p.soldPrice, 0).toFixed(2)),
+            squad: t.squad.map(p => ({ id: p.id, name: p.name, role: p.role, country: p.country, rating: p.rating, basePrice: p.basePrice, soldPrice: p.soldPrice, retained: !!p.retained }))
+        })),
+        events: room.eventLog
+    };
+}
 
-      // Prevent negative scores
-      if (score < 0) score = 0;
+function toCsv(header, rows) {
+    const cell = value => {
+        const text = value === undefined || value === null ? "" : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [header, ...rows].map(row => row.map(cell).join(",")).join("\r\n") + "\r\n";
+}
 
-      console.log(`Team ${team.name} Balance Check:`, { wkCount, batCount, bowlCount, arCount, penalty: balancePenalty });
+// A room driven by another instance is read from the store, and checked just the same
+async function findExportRoom(req, res) {
+    const roomId = sanitizeInput(req.params.roomId, 20).toUpperCase();
+    let room = rooms[roomId];
+    if (!room) {
+        const data = await roomStore.load(roomId);
+        if (data) room = restoreRoom(roomId, data);
+    }
+    if (!room) {
+        res.status(404).json({ error: "Room not found" });
+        return null;
+    }
+    const session = verifySessionToken(req.query.token);
+    if (session && session.roomId === roomId && !room.kickedIds.includes(session.userId)) return { roomId, room };
 
-      // ============================================================
-      // END NEW LOGIC
-      // ============================================================
+    const refusal = await verifyRoomPassword(room, req.query.password, `ip:${req.ip}`);
+    if (refusal === "attempts") res.status(429).json({ error: JOIN_REFUSALS.attempts });
+    else if (refusal) res.status(401).json({ error: refusal === "wrong" ? "Wrong room password." : "This room needs its password." });
+    return refusal ? null : { roomId, room };
+}
 
-      team.totalScore = Math.round(score * 100) / 100; // (This is existing code)
+app.get("/api/rooms/:roomId/export", async (req, res) => {
+    const found = await findExportRoom(req, res);
+    if (found) res.json(getAuctionExport(found.roomId, found.room));
+});
 
-      team.totalScore = Math.round(score * 100) / 100;
-      team.submitted11 = true;
-      team.playing11 = selectedPlayers;
-      
-      updateRoomActivity(roomId);
-      saveGameData();
+app.get("/api/rooms/:roomId/export.csv", async (req, res) => {
+    const found = await findExportRoom(req, res);
+    if (!found) return;
+    const rows = found.room.eventLog.map(e => [
+        e.seq, new Date(e.at).toISOString(), e.type, e.phase, e.teamName, e.playerName,
+        [e.amount, e.price, e.basePrice].find(v => v !== undefined),
+        e.message || (e.viaRtm ? "RTM" : "")
+    ]);
+    res.attachment(`auction-${found.roomId}-events.csv`);
+    res.type("text/csv").send(toCsv(["seq", "time", "type", "phase", "team", "player", "amount", "detail"], rows));
+});
 
-      const activeTeams = Object.values(room.teams).filter(t => !t.isEliminated);
-      if(activeTeams.every(t => t.submitted11)) calculateWinner(roomId);
-      else io.to(roomId).emit("teams-updated", Object.values(room.teams));
-  });
+app.get("/api/rooms/:roomId/squads.csv", async (req, res) => {
+    const found = await findExportRoom(req, res);
+    if (!found) return;
+    const rows = getAuctionExport(found.roomId, found.room).teams.flatMap(t => t.squad.map(p => [
+        t.name, p.name, p.role, p.country, p.rating, p.basePrice, p.soldPrice, p.retained ? "yes" : "no"
+    ]));
+    res.attachment(`auction-${found.roomId}-squads.csv`);
+    res.type("text/csv").send(toCsv(["team", "player", "role", "country", "rating", "base_price", "sold_price", "retained"], rows));
+});
+
+// --- PUBLIC ROOMS (HTTP) ---
+// GET /api/rooms    public rooms on every instance, with team counts, phase and whether they can be joined
+
+app.get("/api/rooms", async (req, res) => {
+    res.json({ rooms: await listPublicRooms() });
+});
+
+// --- PROFILES & LEADERBOARD (HTTP) ---
+// GET /api/leaderboard?sort=wins|winRate|averageScore|value&limit=20
+// GET /api/profiles/:profileId           public profile, stats and recent games
+
+const LEADERBOARD_CACHE_MS = 30000;
+const MAX_LEADERBOARD_ROWS = 100;
+// Every profile is read to rank them, so the list is reused for a while
+let leaderboardProfiles = { at: 0, profiles: null };
+
+app.get("/api/leaderboard", async (req, res) => {
+    try {
+        if (!leaderboardProfiles.profiles || Date.now() - leaderboardProfiles.at > LEADERBOARD_CACHE_MS) {
+            leaderboardProfiles = { at: Date.now(), profiles: await profileStore.loadAll() };
+        }
+        const sort = Object.hasOwn(LEADERBOARD_SORTS, req.query.sort) ? req.query.sort : "wins";
+        const limit = Math.max(1, Math.min(MAX_LEADERBOARD_ROWS, parseInt(req.query.limit, 10) || 20));
+        res.json({ sort, sorts: Object.keys(LEADERBOARD_SORTS), rows: buildLeaderboard(leaderboardProfiles.profiles, sort, limit) });
+    } catch (e) {
+        console.error("Failed to build the leaderboard", e);
+        res.status(500).json({ error: "Leaderboard unavailable" });
+    }
+});
+
+app.get("/api/profiles/:profileId", async (req, res) => {
+    const profileId = sanitizeInput(req.params.profileId, 40);
+    const profile = profileId ? await profileStore.load(profileId) : null;
+    if (!profile) return res.status(404).json({ error: "Profile not found" });
+    res.json({ ...getPublicProfile(profile), history: profile.history });
 });
 
 const PORT = process.env.PORT || 3000;
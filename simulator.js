@@ -0,0 +1,256 @@
+// ==========================
+//  T20 MATCH SIMULATOR (SEEDED, BALL BY BALL)
+// ==========================
+
+const OVERS_PER_INNINGS = 20;
+const BALLS_PER_OVER = 6;
+const MAX_OVERS_PER_BOWLER = 4;
+const WICKETS_PER_INNINGS = 10;
+
+// Per-ball odds before skill adjustments
+const BASE_WICKET_CHANCE = 0.045;
+const EXTRA_CHANCE = 0.03;
+const DISMISSALS = [
+    { type: "bowled", weight: 0.22 },
+    { type: "lbw", weight: 0.13 },
+    { type: "caught", weight: 0.57 },
+    { type: "run out", weight: 0.08 }
+];
+
+// Pitch conditions: bowlers of the favoured type take wickets more often and go for fewer boundaries,
+// the other type a little less; bowlers with no known type and neutral venues are unaffected
+const VENUE_MATCH_FACTOR = 1.3;
+const VENUE_MISMATCH_FACTOR = 0.9;
+
+// Where a player without a batting position goes: specialists with the middle order, then keepers, all-rounders and bowlers
+const POSITION_RANKS = { opener: 0, middle: 1, finisher: 2, tail: 3 };
+const ROLE_RANKS = { batsman: 1, keeper: 1.5, allRounder: 2, bowler: 3 };
+
+// mulberry32: small, fast and deterministic for a given seed
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pickWeighted(rng, options) {
+    const total = options.reduce((sum, o) => sum + o.weight, 0);
+    let roll = rng() * total;
+    for (const option of options) {
+        roll -= option.weight;
+        if (roll <= 0) return option;
+    }
+    return options[options.length - 1];
+}
+
+function stat(value) {
+    return Math.max(0, Math.min(100, parseInt(value) || 0));
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+function isBowlingRole(role) {
+    const r = (role || "").toLowerCase();
+    return r === "bowler" || r === "bowl" || r.includes("all") || r === "ar";
+}
+
+// Openers, middle order, finishers and tail by batting position, then batting skill within each
+function getDefaultBattingOrder(players) {
+    const rank = p => {
+        if (Object.hasOwn(POSITION_RANKS, p.battingPosition)) return POSITION_RANKS[p.battingPosition];
+        const r = (p.role || "").toLowerCase();
+        if (r === "batsman" || r === "bat") return ROLE_RANKS.batsman;
+        if (r.includes("wicket") || r === "wk") return ROLE_RANKS.keeper;
+        if (r.includes("all") || r === "ar") return ROLE_RANKS.allRounder;
+        return ROLE_RANKS.bowler;
+    };
+    return [...players].sort((a, b) => rank(a) - rank(b) || stat(b.bat) - stat(a.bat));
+}
+
+// Five or more bowling options, best first; part-timers fill in when a side is short
+function getBowlingAttack(players) {
+    const bySkill = [...players].sort((a, b) => stat(b.bowl) - stat(a.bowl));
+    const specialists = bySkill.filter(p => isBowlingRole(p.role));
+    const partTimers = bySkill.filter(p => !isBowlingRole(p.role));
+    const needed = Math.ceil(OVERS_PER_INNINGS / MAX_OVERS_PER_BOWLER);
+    return [...specialists, ...partTimers.slice(0, Math.max(0, needed - specialists.length))];
+}
+
+function chooseBowler(rng, attack, fielders, oversBowled, previousBowlerId) {
+    const canBowl = p => p.id !== previousBowlerId && (oversBowled[p.id] || 0) < MAX_OVERS_PER_BOWLER;
+    // When the attack's quotas run out the rest of the XI fills in; only a tiny XI ever breaks quota
+    let pool = attack.filter(canBowl);
+    if (pool.length === 0) pool = fielders.filter(canBowl);
+    if (pool.length === 0) pool = fielders.filter(p => p.id !== previousBowlerId);
+    if (pool.length === 0) pool = fielders;
+    return pickWeighted(rng, pool.map(p => ({ player: p, weight: Math.pow(stat(p.bowl) + 1, 2) }))).player;
+}
+
+// How much the pitch helps this bowler: above 1 on a surface that suits their type
+function getConditionsFactor(bowler, venue) {
+    if (!venue || venue === "neutral" || !bowler.bowlingType) return 1;
+    return bowler.bowlingType === venue ? VENUE_MATCH_FACTOR : VENUE_MISMATCH_FACTOR;
+}
+
+function getBallOutcomes(batter, bowler, fieldingSkill, conditions) {
+    const edge = (stat(batter.bat) - stat(bowler.bowl)) / 100;
+    const fielding = fieldingSkill / 100;
+    return [
+        { runs: 0, weight: 0.38 - 0.12 * edge + 0.04 * fielding },
+        { runs: 1, weight: 0.33 },
+        { runs: 2, weight: 0.07 - 0.02 * fielding },
+        { runs: 3, weight: 0.01 },
+        { runs: 4, weight: Math.max(0.02, 0.11 + 0.06 * edge - 0.02 * fielding) / conditions },
+        { runs: 6, weight: Math.max(0.01, 0.05 + 0.05 * edge) / conditions }
+    ];
+}
+
+function getWicketChance(batter, bowler, fieldingSkill, conditions) {
+    const edge = (stat(bowler.bowl) - stat(batter.bat)) / 100;
+    const chance = BASE_WICKET_CHANCE * (1 + edge * 1.5) * (0.85 + fieldingSkill / 100 * 0.3) * conditions;
+    return Math.max(0.01, Math.min(0.2, chance));
+}
+
+function simulateInnings(rng, battingTeam, bowlingTeam, target, venue) {
+    const order = battingTeam.battingOrder;
+    const attack = getBowlingAttack(bowlingTeam.players);
+    const fieldingSkill = bowlingTeam.players.reduce((sum, p) => sum + stat(p.field), 0) / bowlingTeam.players.length;
+
+    const batting = order.map(p => ({ id: p.id, name: p.name, runs: 0, balls: 0, fours: 0, sixes: 0, dismissal: null, batted: false }));
+    const bowling = {};
+    const oversBowled = {};
+    const fallOfWickets = [];
+    let runs = 0, wickets = 0, balls = 0, extras = 0;
+    let striker = 0, nonStriker = 1, nextBatter = 2;
+    let previousBowlerId = null;
+    // A short XI (squad under 11) is all out when it runs out of partners
+    const maxWickets = Math.min(WICKETS_PER_INNINGS, order.length - 1);
+
+    if (batting[striker]) batting[striker].batted = true;
+    if (batting[nonStriker]) batting[nonStriker].batted = true;
+
+    const inningsOver = () => wickets >= maxWickets || balls >= OVERS_PER_INNINGS * BALLS_PER_OVER || (target && runs >= target);
+
+    for (let over = 0; over < OVERS_PER_INNINGS && !inningsOver(); over++) {
+        const bowler = chooseBowler(rng, attack, bowlingTeam.players, oversBowled, previousBowlerId);
+        const figures = bowling[bowler.id] || (bowling[bowler.id] = { id: bowler.id, name: bowler.name, balls: 0, runs: 0, wickets: 0 });
+        const conditions = getConditionsFactor(bowler, venue);
+        let legalBalls = 0;
+
+        while (legalBalls < BALLS_PER_OVER && !inningsOver()) {
+            const batter = order[striker];
+            const card = batting[striker];
+
+            if (rng() < EXTRA_CHANCE) {
+                runs++;
+                extras++;
+                figures.runs++;
+                continue;
+            }
+
+            legalBalls++;
+            balls++;
+            figures.balls++;
+            card.balls++;
+
+            if (rng() < getWicketChance(batter, bowler, fieldingSkill, conditions)) {
+                const dismissal = pickWeighted(rng, DISMISSALS).type;
+                if (dismissal === "caught") {
+                    const fielder = pickWeighted(rng, bowlingTeam.players.map(p => ({ player: p, weight: stat(p.field) + 1 }))).player;
+                    card.dismissal = fielder.id === bowler.id ? `c & b ${bowler.name}` : `c ${fielder.name} b ${bowler.name}`;
+                } else if (dismissal === "run out") {
+                    card.dismissal = "run out";
+                } else {
+                    card.dismissal = `${dismissal === "lbw" ? "lbw" : "b"} ${bowler.name}`;
+                }
+                if (dismissal !== "run out") figures.wickets++;
+                wickets++;
+                fallOfWickets.push({ wicket: wickets, runs, batterId: card.id, over: `${Math.floor(balls / BALLS_PER_OVER)}.${balls % BALLS_PER_OVER}` });
+
+                if (wickets < maxWickets) {
+                    striker = nextBatter++;
+                    batting[striker].batted = true;
+                }
+                continue;
+            }
+
+            const outcome = pickWeighted(rng, getBallOutcomes(batter, bowler, fieldingSkill, conditions));
+            runs += outcome.runs;
+            card.runs += outcome.runs;
+            figures.runs += outcome.runs;
+            if (outcome.runs === 4) card.fours++;
+            if (outcome.runs === 6) card.sixes++;
+            if (outcome.runs % 2 === 1) [striker, nonStriker] = [nonStriker, striker];
+        }
+
+        oversBowled[bowler.id] = (oversBowled[bowler.id] || 0) + 1;
+        previousBowlerId = bowler.id;
+        [striker, nonStriker] = [nonStriker, striker];
+    }
+
+    return {
+        battingTeamId: battingTeam.id,
+        bowlingTeamId: bowlingTeam.id,
+        runs, wickets, balls, extras,
+        allOut: wickets >= maxWickets,
+        batting: batting.filter(b => b.batted).map(({ batted, ...b }) => ({ ...b, dismissal: b.dismissal || "not out" })),
+        didNotBat: batting.filter(b => !b.batted).map(b => b.name),
+        bowling: Object.values(bowling),
+        fallOfWickets
+    };
+}
+
+/**
+ * Plays one T20 between two sides and returns its scorecard.
+ * Each side is { id, name, players, battingOrder? }; venue is one of scoring's VENUES.
+ * The same seed, sides and venue always give the same match.
+ */
+function simulateMatch(homeTeam, awayTeam, seed, venue = "neutral") {
+    const rng = createRng(seed);
+    const sides = [homeTeam, awayTeam].map(t => ({
+        ...t,
+        battingOrder: (t.battingOrder && t.battingOrder.length === t.players.length) ? t.battingOrder : getDefaultBattingOrder(t.players)
+    }));
+
+    const tossWinner = rng() < 0.5 ? sides[0] : sides[1];
+    const [first, second] = tossWinner === sides[0] ? sides : [sides[1], sides[0]];
+
+    const firstInnings = simulateInnings(rng, first, second, null, venue);
+    const secondInnings = simulateInnings(rng, second, first, firstInnings.runs + 1, venue);
+
+    let winnerId = null;
+    let margin = "Match tied";
+    if (firstInnings.runs > secondInnings.runs) {
+        winnerId = first.id;
+        margin = `${first.name} won by ${plural(firstInnings.runs - secondInnings.runs, "run")}`;
+    } else if (secondInnings.runs > firstInnings.runs) {
+        winnerId = second.id;
+        const wicketsLeft = Math.min(WICKETS_PER_INNINGS, second.players.length - 1) - secondInnings.wickets;
+        margin = `${second.name} won by ${plural(wicketsLeft, "wicket")}`;
+    }
+
+    return {
+        seed,
+        venue,
+        teams: [homeTeam.id, awayTeam.id],
+        tossWinnerId: tossWinner.id,
+        innings: [firstInnings, secondInnings],
+        winnerId,
+        result: margin
+    };
+}
+
+module.exports = {
+    OVERS_PER_INNINGS,
+    BALLS_PER_OVER,
+    createRng,
+    getDefaultBattingOrder,
+    simulateMatch
+};
@@ -0,0 +1,98 @@
+// ==========================
+//  SQUAD COMPOSITION (ROLE MINIMUMS AND MAXIMUMS)
+// ==========================
+
+const { getRoleGroup, countRoles } = require("./scoring");
+
+const ROLE_GROUPS = ["WK", "BAT", "AR", "BOWL"];
+const ROLE_LABELS = { WK: "wicketkeeper", BAT: "batter", AR: "all-rounder", BOWL: "bowler" };
+const MAX_ROLE_LIMIT = 40;
+
+// No minimums and no caps: every squad is legal until the host says otherwise
+const DEFAULT_ROLE_LIMITS = {
+    WK: { min: 0, max: null },
+    BAT: { min: 0, max: null },
+    AR: { min: 0, max: null },
+    BOWL: { min: 0, max: null }
+};
+
+function toLimit(value, min, max) {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? null : Math.max(min, Math.min(max, number));
+}
+
+/**
+ * Merges host input over the current limits. A max of null (or blank) means no cap; a max below
+ * the min is raised to it, and minimums are trimmed, WK first, until they fit in the squad.
+ */
+function sanitizeRoleLimits(input, current = DEFAULT_ROLE_LIMITS, maxSquadSize = MAX_ROLE_LIMIT) {
+    const source = (input && typeof input === 'object') ? input : {};
+    const limits = {};
+    ROLE_GROUPS.forEach(group => {
+        const base = (current && current[group]) || DEFAULT_ROLE_LIMITS[group];
+        const given = (source[group] && typeof source[group] === 'object') ? source[group] : {};
+        const min = toLimit(given.min, 0, maxSquadSize);
+        const max = "max" in given ? toLimit(given.max, 0, MAX_ROLE_LIMIT) : base.max;
+        limits[group] = { min: min === null ? base.min : min, max };
+    });
+
+    let spare = maxSquadSize;
+    ROLE_GROUPS.forEach(group => {
+        limits[group].min = Math.min(limits[group].min, spare);
+        spare -= limits[group].min;
+        if (limits[group].max !== null && limits[group].max < limits[group].min) limits[group].max = limits[group].min;
+    });
+    return limits;
+}
+
+// Cheapest way to buy `count` players of a group from those still to come; missing ones cost minPrice
+function getCheapestCost(upcoming, group, count, minPrice) {
+    if (count <= 0) return 0;
+    const prices = upcoming.filter(p => getRoleGroup(p.role) === group).map(p => p.basePrice).sort((a, b) => a - b).slice(0, count);
+    while (prices.length < count) prices.push(minPrice);
+    return prices.reduce((sum, price) => sum + price, 0);
+}
+
+/**
+ * What a squad still needs to meet its role minimums: missing players per group, the free
+ * squad slots, and the purse those players would cost at the cheapest prices still on offer.
+ * feasible is false once either the slots or the purse can no longer cover them.
+ */
+function getSquadNeeds(squad, purse, limits, { maxSquadSize, upcoming = [], minPrice }) {
+    const counts = countRoles(squad);
+    const missing = {};
+    ROLE_GROUPS.forEach(group => { missing[group] = Math.max(0, limits[group].min - counts[group]); });
+    const total = ROLE_GROUPS.reduce((sum, group) => sum + missing[group], 0);
+    const reserve = parseFloat(ROLE_GROUPS.reduce((sum, group) => sum + getCheapestCost(upcoming, group, missing[group], minPrice), 0).toFixed(2));
+    const slotsLeft = maxSquadSize - squad.length;
+    return {
+        counts, missing, total, slotsLeft, reserve,
+        full: ROLE_GROUPS.filter(group => limits[group].max !== null && counts[group] >= limits[group].max),
+        feasible: total <= slotsLeft && reserve <= purse
+    };
+}
+
+/**
+ * null when the team can take the player at price and still reach every minimum, otherwise the
+ * reason it cannot. A team already short of a minimum may always buy a player it needs.
+ */
+function checkComposition(team, player, price, limits, context) {
+    const group = getRoleGroup(player.role);
+    if (!group) return null;
+    const before = getSquadNeeds(team.squad, team.purse, limits, context);
+    if (before.full.includes(group)) return `You already have the maximum of ${limits[group].max} ${ROLE_LABELS[group]}s.`;
+
+    const after = getSquadNeeds([...team.squad, player], parseFloat((team.purse - price).toFixed(2)), limits, context);
+    if (after.feasible || (!before.feasible && before.missing[group] > 0)) return null;
+    const needed = ROLE_GROUPS.filter(g => after.missing[g] > 0).map(g => `${after.missing[g]} ${ROLE_LABELS[g]}${after.missing[g] > 1 ? "s" : ""}`).join(", ");
+    if (after.total > after.slotsLeft) return `That would leave too few squad places for the ${needed} you still need.`;
+    return `That would leave too little purse for the ${needed} you still need (about ₹${after.reserve} Cr).`;
+}
+
+module.exports = {
+    ROLE_GROUPS,
+    DEFAULT_ROLE_LIMITS,
+    sanitizeRoleLimits,
+    getSquadNeeds,
+    checkComposition
+};
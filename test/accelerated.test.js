@@ -0,0 +1,18 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getDefaultAcceleratedTimer, getAcceleratedSettings } = require("../accelerated");
+
+test("the default accelerated clock is 5 s and always shorter than the room's bid timer", () => {
+    assert.equal(getDefaultAcceleratedTimer(10), 5);
+    assert.equal(getDefaultAcceleratedTimer(60), 5);
+    assert.equal(getDefaultAcceleratedTimer(5), 4);
+    assert.equal(getAcceleratedSettings({ bidTimer: 15 }, undefined, undefined).timer, 5);
+    assert.equal(getAcceleratedSettings({ bidTimer: 5 }, "", "").timer, 4);
+});
+
+test("getAcceleratedSettings clamps the host's choices", () => {
+    assert.deepEqual(getAcceleratedSettings({ bidTimer: 10 }, "7", "0.5"), { timer: 7, priceFactor: 0.5 });
+    assert.deepEqual(getAcceleratedSettings({ bidTimer: 10 }, 60, 5), { timer: 10, priceFactor: 1 });
+    assert.deepEqual(getAcceleratedSettings({ bidTimer: 10 }, 1, 0.1), { timer: 3, priceFactor: 0.25 });
+    assert.equal(getAcceleratedSettings({ bidTimer: 10 }, "abc", "abc").priceFactor, 1);
+});
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const { io } = require("socket.io-client");
+const { createRedisStandin } = require("../tools/redis-standin");
+
+const LEASE_MS = 600;
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves with the first event whose payload passes check
+function once(emitter, event, check = () => true, ms = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${event} within ${ms} ms`)), ms);
+        const listener = value => {
+            if (!check(value)) return;
+            clearTimeout(timer);
+            emitter.off(event, listener);
+            resolve(value);
+        };
+        emitter.on(event, listener);
+    });
+}
+
+const teamNames = teams => teams.map(team => team.name).sort();
+
+function freePort() {
+    return new Promise(resolve => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Two server.js processes sharing one stand-in, as instances behind a load balancer would
+async function startCluster(t) {
+    const redisServer = createRedisStandin();
+    await new Promise(resolve => redisServer.listen(0, resolve));
+    const children = [];
+    const sockets = [];
+    t.after(async () => {
+        sockets.forEach(socket => socket.close());
+        await Promise.all(children.filter(child => child.exitCode === null && child.signalCode === null).map(child => {
+            child.kill("SIGKILL");
+            return once(child, "exit");
+        }));
+        await new Promise(resolve => redisServer.close(resolve));
+    });
+
+    async function startInstance() {
+        const port = await freePort();
+        const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+            env: { ...process.env, PORT: String(port), REDIS_URL: `redis://localhost:${redisServer.address().port}`, SESSION_SECRET: "multi-instance-test", ROOM_LEASE_MS: String(LEASE_MS) },
+            stdio: ["ignore", "pipe", "pipe"]
+        });
+        children.push(child);
+        let output = "";
+        child.stderr.on("data", chunk => { output += chunk; });
+        await new Promise((resolve, reject) => {
+            child.stdout.on("data", chunk => {
+                output += chunk;
+                if (output.includes("now owns")) resolve();
+            });
+            child.once("exit", code => reject(new Error(`Instance exited with ${code}:\n${output}`)));
+        });
+        return { child, url: `http://localhost:${port}` };
+    }
+
+    function connect(url) {
+        const socket = io(url, { transports: ["websocket"], reconnection: false });
+        sockets.push(socket);
+        return socket;
+    }
+
+    return { startInstance, connect };
+}
+
+test("an instance refuses to start on Redis without a shared SESSION_SECRET", { timeout: 10000 }, async () => {
+    const { SESSION_SECRET, ...env } = process.env;
+    const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+        env: { ...env, PORT: String(await freePort()), REDIS_URL: "redis://localhost:1" },
+        stdio: ["ignore", "pipe", "pipe"]
+    });
+    let output = "";
+    child.stderr.on("data", chunk => { output += chunk; });
+    const code = await once(child, "close", () => true, 8000);
+    assert.equal(code, 1);
+    assert.match(output, /SESSION_SECRET must be set/);
+});
+
+test("room events are driven by the owning instance and taken over when it dies", { timeout: 30000 }, async (t) => {
+    const { startInstance, connect } = await startCluster(t);
+    const owner = await startInstance();
+    const other = await startInstance();
+
+    const host = connect(owner.url);
+    host.emit("create-room", { teamName: "Host", purse: 100 });
+    const { roomId } = await once(host, "room-created");
+
+    // Forwarded from the other instance to the owner, which answers the guest through the adapter
+    const guest = connect(other.url);
+    const hostSeesGuest = once(host, "teams-updated", teams => teams.length === 2);
+    guest.emit("join-room", { roomId, teamName: "Guest" });
+    const joined = await once(guest, "joined-room");
+    assert.equal(joined.roomId, roomId);
+    assert.equal(joined.team.name, "Guest");
+    assert.deepEqual(teamNames(await hostSeesGuest), ["Guest", "Host"]);
+
+    // Let the owner write the room out, then kill it without releasing its lease
+    await wait(1500);
+    const ownerExited = once(owner.child, "exit");
+    owner.child.kill("SIGKILL");
+    await ownerExited;
+    await wait(LEASE_MS + 200);
+
+    // The other instance claims the expired lease and loads the saved room to answer
+    const teamsAfterTakeover = once(guest, "teams-updated");
+    guest.emit("rejoin-game", { token: joined.token });
+    const rejoined = await once(guest, "joined-room");
+    assert.equal(rejoined.roomId, roomId);
+    assert.equal(rejoined.team.name, "Guest");
+    assert.deepEqual(teamNames(await teamsAfterTakeover), ["Guest", "Host"]);
+});
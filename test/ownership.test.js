@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Redis = require("ioredis");
+const { createRoomLeases } = require("../ownership");
+const { createRedisStore, LEGACY_ROOMS_KEY } = require("../roomstore");
+const { createRedisStandin } = require("../tools/redis-standin");
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function startStandin(t) {
+    const server = createRedisStandin();
+    await new Promise(resolve => server.listen(0, resolve));
+    const clients = [];
+    const connect = () => {
+        const client = new Redis({ port: server.address().port, maxRetriesPerRequest: 1 });
+        clients.push(client);
+        return client;
+    };
+    t.after(async () => {
+        clients.forEach(client => client.disconnect());
+        await new Promise(resolve => server.close(resolve));
+    });
+    return connect;
+}
+
+test("only one instance holds a room lease, and only the holder renews or releases it", async (t) => {
+    const connect = await startStandin(t);
+    const first = createRoomLeases(connect(), "first", 5000);
+    const second = createRoomLeases(connect(), "second", 5000);
+
+    assert.equal(await first.claim("ROOM1"), true);
+    assert.equal(await second.claim("ROOM1"), false);
+    assert.equal(await first.claim("ROOM1"), true, "claiming a held lease again extends it");
+    assert.equal(await second.renew("ROOM1"), false);
+    assert.equal(await second.release("ROOM1"), false);
+    assert.equal(await first.ownerOf("ROOM1"), "first");
+
+    assert.equal(await first.release("ROOM1"), true);
+    assert.equal(await first.ownerOf("ROOM1"), null);
+    assert.equal(await second.claim("ROOM1"), true);
+    assert.equal(await first.renew("ROOM1"), false);
+});
+
+test("a lease that is not renewed expires and can be taken over", async (t) => {
+    const connect = await startStandin(t);
+    const dead = createRoomLeases(connect(), "dead", 50);
+    const alive = createRoomLeases(connect(), "alive", 50);
+
+    assert.equal(await dead.claim("ROOM1"), true);
+    assert.equal(await alive.claim("ROOM1"), false);
+    await wait(80);
+    assert.equal(await alive.claim("ROOM1"), true);
+    assert.equal(await dead.renew("ROOM1"), false);
+});
+
+test("the Redis store loads single rooms, lists ids and migrates the legacy blob", async (t) => {
+    const connect = await startStandin(t);
+    const redis = connect();
+    const store = createRedisStore(redis, 60);
+
+    await store.save("AAA", { phase: "LOBBY" });
+    await redis.set(LEGACY_ROOMS_KEY, JSON.stringify({ AAA: { phase: "OLD" }, BBB: { phase: "AUCTION" } }));
+
+    assert.deepEqual(await store.load("AAA"), { phase: "LOBBY" });
+    assert.equal(await store.load("NOPE"), null);
+    assert.deepEqual(await store.loadAll(), { AAA: { phase: "LOBBY" }, BBB: { phase: "AUCTION" } });
+    assert.equal(await redis.get(LEGACY_ROOMS_KEY), null);
+    assert.deepEqual((await store.listRoomIds()).sort(), ["AAA", "BBB"]);
+
+    await store.remove("AAA");
+    assert.deepEqual(await store.listRoomIds(), ["BBB"]);
+});
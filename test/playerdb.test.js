@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv, parsePlayerDatabase } = require("../playerdb");
+
+const CSV_HEADER = "name,role,country,status,bat,bowl,field,basePrice";
+
+test("parseCsv handles quoted commas, doubled quotes, CRLF and blank lines", () => {
+    const rows = parseCsv('a,b\r\n"Smith, J","say ""hi"""\n\n"multi\nline",x\n');
+    assert.deepEqual(rows, [["a", "b"], ["Smith, J", 'say "hi"'], ["multi\nline", "x"]]);
+});
+
+test("a valid CSV gives normalised players with defaults filled in", () => {
+    const csv = `${CSV_HEADER}\nAsha Rao,batter,domestic,Capped,82,20,70,0.5\nMeg Lanning,All Rounder,overseas,,75,60,80,`;
+    const { players, errors } = parsePlayerDatabase(csv);
+    assert.deepEqual(errors, []);
+    assert.equal(players.length, 2);
+    assert.deepEqual(players[0], {
+        id: "custom_1", name: "Asha Rao", role: "Batsman", country: "India", status: "Capped", bat: 82, bowl: 20, field: 70, basePrice: 0.5
+    });
+    assert.equal(players[1].role, "All-Rounder");
+    assert.equal(players[1].country, "Overseas");
+    assert.equal(players[1].status, "Uncapped");
+    assert.equal(players[1].basePrice, 0.2);
+});
+
+test("JSON accepts a bare array or { players } and is detected from the text", () => {
+    const list = [{ id: "p1", name: "A", role: "WK", bat: 60, bowl: 5, field: 90, basePrice: 1, marquee: true }];
+    const bare = parsePlayerDatabase(JSON.stringify(list));
+    const wrapped = parsePlayerDatabase(JSON.stringify({ players: list }), "json");
+    assert.deepEqual(bare.errors, []);
+    assert.deepEqual(bare.players, wrapped.players);
+    assert.equal(bare.players[0].role, "Wicketkeeper");
+    assert.equal(bare.players[0].marquee, true);
+});
+
+test("every bad field is reported against its row", () => {
+    const csv = `${CSV_HEADER}\nGood,Bowler,India,,10,90,70,1\n,Spinner,Mars,Legend,101,5.5,x,50`;
+    const { players, errors } = parsePlayerDatabase(csv);
+    assert.deepEqual(players, []);
+    assert.deepEqual(errors.map(e => [e.row, e.field]), [
+        [2, "name"], [2, "role"], [2, "country"], [2, "status"], [2, "bat"], [2, "bowl"], [2, "field"], [2, "basePrice"]
+    ]);
+    assert.match(errors.find(e => e.field === "role").message, /Batsman, Bowler, All-Rounder, Wicketkeeper/);
+});
+
+test("duplicate ids are rejected and generated ids never collide with chosen ones", () => {
+    const row = (id) => ({ id, name: "X", role: "Bowler", bat: 1, bowl: 1, field: 1 });
+    const dup = parsePlayerDatabase(JSON.stringify([row("a"), row("a")]));
+    assert.deepEqual(dup.errors.map(e => [e.row, e.field]), [[2, "id"]]);
+
+    const mixed = parsePlayerDatabase(JSON.stringify([row(undefined), row("custom_1")]));
+    assert.deepEqual(mixed.errors, []);
+    assert.notEqual(mixed.players[0].id, mixed.players[1].id);
+});
+
+test("ids outside letters, digits, _ and -, or reserved object keys, are reported as row errors", () => {
+    const row = (id) => ({ id, name: "X", role: "Bowler", bat: 1, bowl: 1, field: 1 });
+    const { players, errors } = parsePlayerDatabase(JSON.stringify([row("ok_id-1"), row('x" autofocus onfocus="alert(1)'), row("a".repeat(101))]));
+    assert.deepEqual(players, []);
+    assert.deepEqual(errors.map(e => [e.row, e.field]), [[2, "id"], [3, "id"]]);
+    assert.deepEqual(parsePlayerDatabase(JSON.stringify([row(" padded ")])).players.map(p => p.id), ["padded"]);
+    const reserved = parsePlayerDatabase(JSON.stringify([row("__proto__"), row("constructor"), row("prototype"), row("proto")]));
+    assert.deepEqual(reserved.errors.map(e => [e.row, e.field]), [[1, "id"], [2, "id"], [3, "id"]]);
+});
+
+test("whole-file problems are reported as row 0", () => {
+    assert.equal(parsePlayerDatabase("").errors[0].row, 0);
+    assert.match(parsePlayerDatabase("[oops").errors[0].message, /Invalid JSON/);
+    assert.match(parsePlayerDatabase("role,bat\nBowler,5").errors[0].message, /name column/);
+    assert.match(parsePlayerDatabase(JSON.stringify({ nope: 1 })).errors[0].message, /array of players/);
+});
+
+test("the optional player profile is normalised and checked", () => {
+    const csv = "name,role,bat,bowl,field,batting position,hand,bowling type\nA,Bowler,10,80,50,tail-ender,LHB,Leg-Spin\nB,Batsman,80,5,50,Opener,right,none\nC,Bowler,10,80,50,sweeper,both,swing";
+    const { errors } = parsePlayerDatabase(csv);
+    assert.deepEqual(errors.map(e => [e.row, e.field]), [[3, "battingPosition"], [3, "battingHand"], [3, "bowlingType"]]);
+
+    const { players } = parsePlayerDatabase(csv.split("\n").slice(0, 3).join("\n"));
+    assert.deepEqual([players[0].battingPosition, players[0].battingHand, players[0].bowlingType], ["tail", "left", "spin"]);
+    assert.deepEqual([players[1].battingPosition, players[1].battingHand, "bowlingType" in players[1]], ["opener", "right", false]);
+});
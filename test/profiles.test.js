@@ -0,0 +1,210 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const Redis = require("ioredis");
+const { io } = require("socket.io-client");
+const { createRedisStandin } = require("../tools/redis-standin");
+const {
+    MAX_HISTORY, createProfile, updateProfileDetails, recordGame, getProfileStats, buildLeaderboard, createFileProfileStore, createRedisProfileStore,
+    loadOrCreateSecret
+} = require("../profiles");
+
+const game = (roomId, rank, score, spent, ratingPoints) => ({ roomId, finishedAt: 1, rank, teams: 4, teamName: "T", score, spent, ratingPoints, squad: [] });
+
+test("updateProfileDetails keeps only a clean name and a known franchise", () => {
+    const profile = createProfile("p1");
+    updateProfileDetails(profile, { displayName: "  <b>Ravi</b>  ", favouriteTeam: "MI", totals: null });
+    assert.equal(profile.displayName, "bRavi/b");
+    assert.equal(profile.favouriteTeam, "MI");
+    assert.ok(profile.totals);
+    updateProfileDetails(profile, { favouriteTeam: "XYZ" });
+    assert.equal(profile.favouriteTeam, "MI");
+    updateProfileDetails(profile, { favouriteTeam: null });
+    assert.equal(profile.favouriteTeam, null);
+});
+
+test("recordGame counts each room once and keeps all-time totals past the history cap", () => {
+    const profile = createProfile("p1");
+    assert.equal(recordGame(profile, game("R1", 1, 300, 60, 800)), true);
+    assert.equal(recordGame(profile, game("R1", 1, 300, 60, 800)), false);
+    recordGame(profile, game("R2", 3, 200, 40, 800));
+
+    assert.deepEqual(getProfileStats(profile), {
+        games: 2, wins: 1, winRate: 0.5, averageRank: 2, averageScore: 250, bestScore: 300, totalSpent: 100, spendPerRatingPoint: 0.0625
+    });
+    assert.equal(profile.history[0].roomId, "R2", "newest first");
+
+    for (let i = 0; i < MAX_HISTORY + 5; i++) recordGame(profile, game(`X${i}`, 2, 100, 1, 10));
+    assert.equal(profile.history.length, MAX_HISTORY);
+    assert.equal(getProfileStats(profile).games, MAX_HISTORY + 7);
+});
+
+test("buildLeaderboard ranks by the chosen stat and leaves out thin records for rates", () => {
+    const veteran = createProfile("vet");
+    [1, 2, 1, 4].forEach((rank, i) => recordGame(veteran, game(`V${i}`, rank, 250, 50, 500)));
+    const rookie = createProfile("new");
+    recordGame(rookie, game("N1", 1, 400, 10, 500));
+    const idle = createProfile("idle");
+
+    const byWins = buildLeaderboard([rookie, veteran, idle]);
+    assert.deepEqual(byWins.map(r => [r.position, r.profileId, r.wins]), [[1, "vet", 2], [2, "new", 1]]);
+    assert.equal(byWins[1].displayName, "Anonymous");
+
+    assert.deepEqual(buildLeaderboard([rookie, veteran], "winRate").map(r => r.profileId), ["vet"]);
+    assert.deepEqual(buildLeaderboard([rookie, veteran], "nonsense").map(r => r.profileId), ["vet", "new"]);
+    ["constructor", "toString", "__proto__"].forEach(sort => assert.deepEqual(buildLeaderboard([rookie, veteran], sort).map(r => r.profileId), ["vet", "new"]));
+    assert.equal(buildLeaderboard([rookie, veteran], "wins", 1).length, 1);
+});
+
+test("the file store saves, loads and lists profiles", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-"));
+    const store = createFileProfileStore(dir);
+    const profile = createProfile("user_abc");
+    recordGame(profile, game("R1", 1, 10, 1, 1));
+
+    await store.save(profile);
+    assert.deepEqual(await store.load("user_abc"), profile);
+    assert.equal(await store.load("missing"), null);
+    assert.deepEqual((await store.loadAll()).map(p => p.id), ["user_abc"]);
+
+    await store.update("user_abc", p => recordGame(p, game("R2", 2, 10, 1, 1)));
+    assert.equal(await store.update("user_abc", p => recordGame(p, game("R2", 2, 10, 1, 1))).then(p => p.totals.games), 2);
+    assert.equal((await store.load("user_abc")).totals.games, 2);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("the Redis store saves, loads and lists profiles", async (t) => {
+    const server = createRedisStandin();
+    await new Promise(resolve => server.listen(0, resolve));
+    const redis = new Redis({ port: server.address().port, maxRetriesPerRequest: 1 });
+    t.after(async () => {
+        redis.disconnect();
+        await new Promise(resolve => server.close(resolve));
+    });
+    const store = createRedisProfileStore(redis);
+    const profile = createProfile("user_abc");
+
+    await store.save(profile);
+    await redis.set("cricket_auction_room:AAA", "{}");
+    assert.deepEqual(await store.load("user_abc"), profile);
+    assert.equal(await store.load("missing"), null);
+    assert.deepEqual((await store.loadAll()).map(p => p.id), ["user_abc"]);
+});
+
+test("Redis updates from two instances at once both land", async (t) => {
+    const server = createRedisStandin();
+    await new Promise(resolve => server.listen(0, resolve));
+    const clients = [1, 2].map(() => new Redis({ port: server.address().port, maxRetriesPerRequest: 1 }));
+    t.after(async () => {
+        clients.forEach(client => client.disconnect());
+        await new Promise(resolve => server.close(resolve));
+    });
+    const [first, second] = clients.map(createRedisProfileStore);
+
+    await first.update("user_abc", p => updateProfileDetails(p, { displayName: "Ravi" }));
+    await Promise.all([
+        first.update("user_abc", p => recordGame(p, game("R1", 1, 300, 60, 800))),
+        second.update("user_abc", p => recordGame(p, game("R2", 2, 200, 40, 800))),
+        second.update("user_abc", p => recordGame(p, game("R3", 3, 100, 20, 800)))
+    ]);
+    const profile = await first.load("user_abc");
+    assert.equal(profile.displayName, "Ravi");
+    assert.deepEqual(profile.history.map(g => g.roomId).sort(), ["R1", "R2", "R3"]);
+    assert.equal(getProfileStats(profile).games, 3);
+
+    const unchanged = await second.update("user_abc", () => false);
+    assert.equal(unchanged.totals.games, 3);
+});
+
+test("loadOrCreateSecret makes a secret once and reads it back after that", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-"));
+    const file = path.join(dir, "nested", "session-secret");
+    const secret = loadOrCreateSecret(file);
+    assert.match(secret, /^[0-9a-f]{64}$/);
+    assert.equal(loadOrCreateSecret(file), secret);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Resolves with the first event whose payload passes check
+function once(emitter, event, check = () => true, ms = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${event} within ${ms} ms`)), ms);
+        const listener = value => {
+            if (!check(value)) return;
+            clearTimeout(timer);
+            emitter.off(event, listener);
+            resolve(value);
+        };
+        emitter.on(event, listener);
+    });
+}
+
+function freePort() {
+    return new Promise(resolve => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+test("a profile token still works after the server restarts without SESSION_SECRET", { timeout: 30000 }, async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-"));
+    const { SESSION_SECRET, REDIS_URL, ...env } = process.env;
+    let child = null, socket = null;
+    const stop = async () => {
+        if (socket) socket.close();
+        if (child && child.exitCode === null && child.signalCode === null) {
+            const exited = once(child, "exit");
+            child.kill("SIGKILL");
+            await exited;
+        }
+    };
+    t.after(async () => {
+        await stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function start() {
+        const port = await freePort();
+        child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+            env: { ...env, PORT: String(port), PROFILES_DIR: path.join(dir, "profiles"), ROOMS_DIR: path.join(dir, "rooms") },
+            stdio: ["ignore", "pipe", "pipe"]
+        });
+        let output = "";
+        child.stderr.on("data", chunk => { output += chunk; });
+        await new Promise((resolve, reject) => {
+            child.stdout.on("data", chunk => {
+                output += chunk;
+                if (output.includes("Server running")) resolve();
+            });
+            child.once("exit", code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+        });
+        socket = io(`http://localhost:${port}`, { transports: ["websocket"], reconnection: false });
+    }
+
+    await start();
+    socket.emit("load-profile", {});
+    const created = await once(socket, "profile-loaded");
+    socket.emit("update-profile", { profileToken: created.profileToken, displayName: "Ravi" });
+    await once(socket, "profile-loaded", profile => profile.displayName === "Ravi");
+    await stop();
+
+    await start();
+    socket.emit("load-profile", { profileToken: created.profileToken });
+    const reloaded = await once(socket, "profile-loaded");
+    assert.equal(reloaded.id, created.id);
+    assert.equal(reloaded.displayName, "Ravi");
+
+    // A token the server cannot verify is refused, not swapped for a fresh profile
+    const [payload] = created.profileToken.split(".");
+    const refused = once(socket, "profile-rejected");
+    const loadedAnyway = once(socket, "profile-loaded", () => true, 500).catch(() => null);
+    socket.emit("load-profile", { profileToken: `${payload}.forged` });
+    await refused;
+    assert.equal(await loadedAnyway, null);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    ROOM_CODE_LENGTH, ROOM_CODE_ALPHABET, DEFAULT_ROOM_ACCESS, generateRoomCode, checkRoomPassword, sanitizeRoomAccess, getAccessSummary, getJoinRefusal,
+    createAttemptLimiter
+} = require("../roomaccess");
+
+test("generateRoomCode draws every character from the unambiguous alphabet", () => {
+    const code = generateRoomCode();
+    assert.equal(code.length, ROOM_CODE_LENGTH);
+    assert.ok([...code].every(c => ROOM_CODE_ALPHABET.includes(c)));
+    assert.doesNotMatch(ROOM_CODE_ALPHABET, /[01IO]/);
+    assert.equal(generateRoomCode(() => 0), "AAAAAA");
+});
+
+test("sanitizeRoomAccess clamps capacity and only changes the password when one is given", async () => {
+    assert.deepEqual(await sanitizeRoomAccess(null), DEFAULT_ROOM_ACCESS);
+    // Rooms that set nothing keep taking late joiners
+    assert.equal(getJoinRefusal(DEFAULT_ROOM_ACCESS, { teamCount: 10, started: true }), null);
+
+    const access = await sanitizeRoomAccess({ visibility: "public", maxTeams: "99", lockAfterStart: "false", password: "secret" });
+    assert.equal(access.visibility, "public");
+    assert.equal(access.maxTeams, 20);
+    assert.equal(access.lockAfterStart, false);
+    assert.ok(access.password.hash && access.password.salt);
+    assert.ok(!JSON.stringify(access).includes("secret"));
+
+    const kept = await sanitizeRoomAccess({ visibility: "hidden", maxTeams: 1 }, access);
+    assert.equal(kept.visibility, "public");
+    assert.equal(kept.maxTeams, 2);
+    assert.equal(kept.password, access.password);
+    assert.equal((await sanitizeRoomAccess({ password: "" }, access)).password, null);
+    assert.deepEqual(getAccessSummary(access), { visibility: "public", hasPassword: true, maxTeams: 20, lockAfterStart: false });
+});
+
+test("checkRoomPassword accepts only the password that was set", async () => {
+    const { password } = await sanitizeRoomAccess({ password: "secret" });
+    assert.equal(await checkRoomPassword(password, "secret"), true);
+    assert.equal(await checkRoomPassword(password, "Secret"), false);
+    assert.equal(await checkRoomPassword(password, undefined), false);
+    assert.equal(await checkRoomPassword(null, undefined), true);
+});
+
+test("getJoinRefusal reports a locked or full room", async () => {
+    const access = await sanitizeRoomAccess({ maxTeams: 3, lockAfterStart: true });
+    assert.equal(getJoinRefusal(access, { teamCount: 1, started: false }), null);
+    assert.equal(getJoinRefusal(access, { teamCount: 1, started: true }), "locked");
+    assert.equal(getJoinRefusal(access, { teamCount: 3, started: false }), "full");
+    assert.equal(getJoinRefusal({ ...access, lockAfterStart: false }, { teamCount: 1, started: true }), null);
+});
+
+test("createAttemptLimiter blocks a key at its limit until the window ends", () => {
+    let now = 0;
+    const limiter = createAttemptLimiter({ max: 2, windowMs: 1000 }, () => now);
+    limiter.fail("socket1");
+    assert.equal(limiter.isBlocked("socket1"), false);
+    limiter.fail("socket1");
+    assert.equal(limiter.isBlocked("socket1"), true);
+    assert.equal(limiter.isBlocked("socket2"), false);
+
+    now = 1000;
+    assert.equal(limiter.isBlocked("socket1"), false);
+    limiter.fail("socket1");
+    assert.equal(limiter.isBlocked("socket1"), false, "a new window starts from zero");
+});
@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SCHEMA_VERSION, serializeRoom, deserializeRoom, createFileStore } = require("../roomstore");
+
+function sampleRoom() {
+    const player = { id: "1", name: "A", role: "Batsman", rating: 90, basePrice: 2 };
+    return {
+        id: "ROOM1",
+        hostId: "u1",
+        config: { startingPurse: 100 },
+        teams: {
+            u1: { id: "u1", name: "T1", purse: 98, squad: [{ ...player, soldPrice: 2 }], playing11: [{ ...player, soldPrice: 2 }], scoreBreakdown: { totalScore: 10 } }
+        },
+        auction: {
+            playerPool: [player], currentPlayerIndex: 0, phase: "AUCTION", biddingOpen: true,
+            skippedBy: new Set(["u2"]), timer: setTimeout(() => {}, 0), deadline: Date.now() + 5000, timeLeft: 10,
+            proxyBids: { u1: { "1": { maxBid: 5, seq: 1 } } }, bidHistory: [{ teamId: "u1", amount: 2.2 }]
+        },
+        eventLog: [{ seq: 1, type: "lot" }],
+        lastActivity: 123,
+        nextPlayerTimeout: setTimeout(() => {}, 0),
+        rtmTimeout: null,
+        botTimeout: null
+    };
+}
+
+test("serializeRoom keeps every field except live timer handles and converts skippedBy", () => {
+    const room = sampleRoom();
+    const data = serializeRoom(room, 4.5);
+    clearTimeout(room.auction.timer);
+    clearTimeout(room.nextPlayerTimeout);
+
+    assert.equal(data.schemaVersion, SCHEMA_VERSION);
+    assert.ok(!("nextPlayerTimeout" in data) && !("timer" in data.auction) && !("deadline" in data.auction));
+    assert.deepEqual(data.auction.skippedBy, ["u2"]);
+    assert.equal(data.auction.timeLeft, 4.5);
+    assert.deepEqual(data.teams.u1.playing11, room.teams.u1.playing11);
+    assert.deepEqual(data.auction.proxyBids, room.auction.proxyBids);
+    // Survives JSON unchanged
+    assert.deepEqual(JSON.parse(JSON.stringify(data)), data);
+});
+
+test("deserializeRoom restores the Set and empty runtime handles", () => {
+    const room = sampleRoom();
+    const restored = deserializeRoom(JSON.parse(JSON.stringify(serializeRoom(room, 3))));
+    clearTimeout(room.auction.timer);
+    clearTimeout(room.nextPlayerTimeout);
+
+    assert.ok(restored.auction.skippedBy instanceof Set);
+    assert.deepEqual([...restored.auction.skippedBy], ["u2"]);
+    assert.equal(restored.auction.timer, null);
+    assert.equal(restored.nextPlayerTimeout, null);
+    assert.deepEqual(restored.eventLog, room.eventLog);
+    assert.deepEqual(restored.teams, room.teams);
+});
+
+test("the file store saves, loads and removes one file per room", async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rooms-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = createFileStore(dir, 60);
+
+    await store.save("AAA", { phase: "LOBBY" });
+    await store.save("BBB", { phase: "AUCTION" });
+    await store.save("AAA", { phase: "RESULT" });
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["AAA.json", "BBB.json"]);
+    assert.deepEqual(await store.loadAll(), { AAA: { phase: "RESULT" }, BBB: { phase: "AUCTION" } });
+
+    await store.remove("BBB");
+    assert.deepEqual(await store.loadAll(), { AAA: { phase: "RESULT" } });
+});
+
+test("the file store skips unreadable files and deletes expired ones", async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rooms-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = createFileStore(dir, 60);
+
+    fs.writeFileSync(path.join(dir, "BROKEN.json"), "{ not json");
+    await store.save("OLD", { phase: "LOBBY" });
+    const longAgo = new Date(Date.now() - 120 * 1000);
+    fs.utimesSync(path.join(dir, "OLD.json"), longAgo, longAgo);
+
+    const errors = [];
+    t.mock.method(console, "error", (...args) => errors.push(args.join(" ")));
+    assert.deepEqual(await store.loadAll(), {});
+    assert.equal(errors.length, 1);
+    assert.ok(!fs.existsSync(path.join(dir, "OLD.json")));
+});
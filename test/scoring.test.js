@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    getRoleGroup,
+    getEffectiveRating,
+    getLeadershipBonus,
+    countRoles,
+    getBalancePenalties,
+    getCompositionBonuses,
+    getVenueAdjustment,
+    scorePlayingXI
+} = require("../scoring");
+
+const player = (id, role, rating, soldPrice = 4, basePrice = 1) => ({ id, name: `P${id}`, role, rating, soldPrice, basePrice });
+
+// Bought at 4x base, so ratings are not adjusted for value.
+// 4 batters, 1 keeper, 2 all-rounders, 4 bowlers: no balance penalties
+function balancedXI() {
+    return [
+        player("1", "Batsman", 80), player("2", "Batsman", 80), player("3", "Batsman", 80), player("4", "Batsman", 80),
+        player("5", "Wicket Keeper", 80),
+        player("6", "All-Rounder", 80), player("7", "All-Rounder", 80),
+        player("8", "Bowler", 80), player("9", "Bowler", 80), player("10", "Bowler", 80), player("11", "Bowler", 80)
+    ];
+}
+
+test("getRoleGroup maps role names and short codes", () => {
+    assert.equal(getRoleGroup("Wicket Keeper"), "WK");
+    assert.equal(getRoleGroup("wk"), "WK");
+    assert.equal(getRoleGroup("Batsman"), "BAT");
+    assert.equal(getRoleGroup("BOWL"), "BOWL");
+    assert.equal(getRoleGroup("All-Rounder"), "AR");
+    assert.equal(getRoleGroup("Coach"), null);
+    assert.equal(getRoleGroup(undefined), null);
+});
+
+test("getEffectiveRating rewards bargains and punishes overpaid stars", () => {
+    assert.equal(getEffectiveRating(player("1", "Batsman", 80, 2, 1)), 85);    // under 3x base
+    assert.equal(getEffectiveRating(player("1", "Batsman", 80, 4, 1)), 80);    // fair price
+    assert.equal(getEffectiveRating(player("1", "Batsman", 90, 8, 1)), 85);    // 88+ at 8x
+    assert.equal(getEffectiveRating(player("1", "Batsman", 90, 5, 1)), 95);    // 88+ under 6x
+    assert.equal(getEffectiveRating(player("1", "Batsman", 95, 10, 1)), 90);   // 92+ at 9x
+});
+
+test("getEffectiveRating: a 92+ star at exactly 6x keeps the +2, under 6x the +5 wins", () => {
+    assert.equal(getEffectiveRating(player("1", "Batsman", 95, 6, 1)), 97);
+    assert.equal(getEffectiveRating(player("1", "Batsman", 95, 5, 1)), 100);
+});
+
+test("getEffectiveRating never goes below zero", () => {
+    assert.equal(getEffectiveRating(player("1", "Batsman", 0, 5, 1)), 0);
+});
+
+test("getLeadershipBonus takes 10% of the captain and 5% of the vice-captain", () => {
+    assert.equal(getLeadershipBonus(80, 60), 11);
+});
+
+test("countRoles ignores unknown roles", () => {
+    assert.deepEqual(countRoles([player("1", "Batsman", 1), player("2", "wk", 1), player("3", "Coach", 1)]), { WK: 1, BAT: 1, BOWL: 0, AR: 0 });
+});
+
+test("getBalancePenalties reports each shortfall in the penalty log", () => {
+    assert.deepEqual(getBalancePenalties({ WK: 0, BAT: 4, BOWL: 3, AR: 2 }), { penalty: 0, penaltyLog: [] });
+    assert.deepEqual(getBalancePenalties({ WK: 4, BAT: 1, BOWL: 2, AR: 1 }), {
+        penalty: 40 + 50 + 30,
+        penaltyLog: [
+            { rule: "Too many WKs", points: 40 },
+            { rule: "Weak Bowling", points: 50 },
+            { rule: "Weak Batting Core", points: 30 }
+        ]
+    });
+});
+
+test("scorePlayingXI applies captain/vice-captain multipliers and the leadership bonus", () => {
+    const result = scorePlayingXI(balancedXI(), "1", "2");
+    // C 80*2 + VC 80*1.5 + 9 * (80 + 12)
+    assert.equal(result.leadershipBonus, 12);
+    assert.equal(result.playerScore, 160 + 120 + 9 * 92);
+    assert.equal(result.balancePenalty, 0);
+    assert.equal(result.totalScore, result.playerScore);
+
+    const captain = result.players.find(p => p.id === "1");
+    assert.deepEqual([captain.leader, captain.multiplier, captain.bonus, captain.points], ["C", 2, 0, 160]);
+    const viceCaptain = result.players.find(p => p.id === "2");
+    assert.deepEqual([viceCaptain.leader, viceCaptain.multiplier, viceCaptain.points], ["VC", 1.5, 120]);
+    const other = result.players.find(p => p.id === "11");
+    assert.deepEqual([other.leader, other.multiplier, other.bonus, other.points], [null, 1, 12, 92]);
+});
+
+test("scorePlayingXI takes balance penalties off the total", () => {
+    const xi = balancedXI().map(p => p.role === "Bowler" ? { ...p, role: "Wicket Keeper" } : p);
+    const result = scorePlayingXI(xi, "1", "2");
+    assert.deepEqual(result.roles, { WK: 5, BAT: 4, BOWL: 0, AR: 2 });
+    assert.deepEqual(result.penaltyLog, [{ rule: "Too many WKs", points: 60 }, { rule: "Weak Bowling", points: 75 }]);
+    assert.equal(result.totalScore, result.playerScore - 135);
+});
+
+test("scorePlayingXI never returns a negative total", () => {
+    const xi = [player("1", "Wicket Keeper", 1), player("2", "Wicket Keeper", 1), player("3", "Wicket Keeper", 1)];
+    const result = scorePlayingXI(xi, "1", "2");
+    assert.ok(result.playerScore < result.balancePenalty);
+    assert.equal(result.totalScore, 0);
+});
+
+test("scorePlayingXI rounds to two decimals", () => {
+    const xi = balancedXI().map(p => ({ ...p, rating: 77 }));
+    const result = scorePlayingXI(xi, "1", "2");
+    // bonus 7.7 + 3.85 = 11.55; 154 + 115.5 + 9 * 88.55 = 1066.45
+    assert.equal(result.totalScore, 1066.45);
+});
+
+// balancedXI with a full profile: 2 openers, a finisher, 2 pacers + 2 spinners, left and right handers up top
+function profiledXI() {
+    const profiles = [
+        ["opener", "left"], ["opener", "right"], ["middle", "left"], ["middle", "right"], ["finisher", "right"],
+        ["middle", "right", "pace"], ["finisher", "left", "spin"],
+        ["tail", "right", "pace"], ["tail", "right", "pace"], ["tail", "left", "spin"], ["tail", "right", "spin"]
+    ];
+    return balancedXI().map((p, i) => {
+        const [battingPosition, battingHand, bowlingType] = profiles[i];
+        return { ...p, battingPosition, battingHand, ...(bowlingType ? { bowlingType } : {}) };
+    });
+}
+
+test("getCompositionBonuses rewards openers, a finisher and both mixes", () => {
+    assert.deepEqual(getCompositionBonuses(profiledXI()), {
+        bonus: 10 + 5 + 10 + 8,
+        bonusLog: [
+            { rule: "Opening pair", points: 10 },
+            { rule: "Finisher", points: 5 },
+            { rule: "Pace & spin mix", points: 10 },
+            { rule: "Left-right batting", points: 8 }
+        ]
+    });
+});
+
+test("getCompositionBonuses gives nothing for players without a profile or for a lopsided XI", () => {
+    assert.deepEqual(getCompositionBonuses(balancedXI()), { bonus: 0, bonusLog: [] });
+    const allPace = profiledXI().map(p => p.bowlingType ? { ...p, bowlingType: "pace" } : p);
+    assert.ok(!getCompositionBonuses(allPace).bonusLog.some(b => b.rule === "Pace & spin mix"));
+    // Tail-enders do not count towards the batting mix
+    const oneLefty = profiledXI().map((p, i) => i < 7 && i !== 0 ? { ...p, battingHand: "right" } : p);
+    assert.ok(!getCompositionBonuses(oneLefty).bonusLog.some(b => b.rule === "Left-right batting"));
+});
+
+test("getVenueAdjustment favours the matching bowling type and ignores batters", () => {
+    const spinner = { role: "Bowler", bowlingType: "spin" };
+    assert.equal(getVenueAdjustment(spinner, "spin"), 4);
+    assert.equal(getVenueAdjustment(spinner, "pace"), -2);
+    assert.equal(getVenueAdjustment(spinner, "neutral"), 0);
+    assert.equal(getVenueAdjustment({ role: "Batsman", bowlingType: "spin" }, "spin"), 0);
+});
+
+test("scorePlayingXI adds composition bonuses and venue adjustments to the total", () => {
+    const neutral = scorePlayingXI(profiledXI(), "1", "2");
+    assert.equal(neutral.compositionBonus, 33);
+    assert.equal(neutral.totalScore, neutral.playerScore + 33);
+
+    // 3 pacers +4 each, 3 spinners -2 each
+    const pace = scorePlayingXI(profiledXI(), "1", "2", "pace");
+    assert.equal(pace.playerScore, neutral.playerScore + 12 - 6);
+    assert.equal(pace.players.find(p => p.id === "8").venueAdjustment, 4);
+    assert.equal(pace.players.find(p => p.id === "8").points, 96);
+});
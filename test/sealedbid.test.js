@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveSealedBids } = require("../sealedbid");
+
+const bid = (teamId, amount, seq, purse = 50) => ({ teamId, amount, seq, purse });
+const BIDS = [bid("a", 3, 1), bid("b", 5, 2), bid("c", 4, 3)];
+
+test("first-price lots go to the highest bid at that bid", () => {
+    const { ranked, winner, price, tied } = resolveSealedBids(BIDS, { pricing: "first", tieBreak: "earliest", reserve: 2 });
+    assert.deepEqual(ranked.map(b => b.teamId), ["b", "c", "a"]);
+    assert.equal(winner.teamId, "b");
+    assert.equal(price, 5);
+    assert.equal(tied, false);
+});
+
+test("second-price lots charge the runner-up's bid, or the reserve for a lone bidder", () => {
+    assert.equal(resolveSealedBids(BIDS, { pricing: "second", tieBreak: "earliest", reserve: 2 }).price, 4);
+    const alone = resolveSealedBids([bid("a", 6, 1)], { pricing: "second", tieBreak: "earliest", reserve: 2 });
+    assert.equal(alone.winner.teamId, "a");
+    assert.equal(alone.price, 2);
+    assert.deepEqual(resolveSealedBids([], { pricing: "first", tieBreak: "earliest", reserve: 2 }), { ranked: [], winner: null, price: null, tied: false });
+});
+
+test("equal top bids follow the tie rule and cost the tied amount", () => {
+    const tiedBids = [bid("a", 5, 1, 20), bid("b", 5, 2, 40), bid("c", 3, 3)];
+    const earliest = resolveSealedBids(tiedBids, { pricing: "second", tieBreak: "earliest", reserve: 1 });
+    assert.equal(earliest.winner.teamId, "a");
+    assert.equal(earliest.price, 5);
+    assert.equal(earliest.tied, true);
+
+    assert.equal(resolveSealedBids(tiedBids, { pricing: "first", tieBreak: "purse", reserve: 1 }).winner.teamId, "b");
+
+    const draws = [0.9, 0.1, 0.5];
+    const random = resolveSealedBids(tiedBids, { pricing: "first", tieBreak: "random", reserve: 1, random: () => draws.shift() });
+    assert.equal(random.winner.teamId, "b");
+});
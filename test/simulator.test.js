@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { simulateMatch, getDefaultBattingOrder, OVERS_PER_INNINGS, BALLS_PER_OVER } = require("../simulator");
+
+const ROLES = ["Batsman", "Batsman", "Batsman", "Batsman", "Batsman", "Wicketkeeper", "All-Rounder", "All-Rounder", "Bowler", "Bowler", "Bowler"];
+
+function makeSide(id, { bat = 60, bowl = 60, field = 60, bowlingType } = {}) {
+    const players = ROLES.map((role, i) => ({
+        id: `${id}${i}`, name: `${id.toUpperCase()} ${i}`, role,
+        bat: role === "Bowler" ? bat / 3 : bat, bowl: role === "Batsman" || role === "Wicketkeeper" ? bowl / 5 : bowl, field,
+        ...(bowlingType && (role === "Bowler" || role === "All-Rounder") ? { bowlingType } : {})
+    }));
+    return { id, name: id.toUpperCase(), players };
+}
+
+const home = makeSide("h");
+const away = makeSide("a");
+const SEEDS = Array.from({ length: 40 }, (_, i) => i * 7919 + 1);
+
+test("the same seed and XIs always give the same scorecard", () => {
+    assert.deepEqual(simulateMatch(home, away, 1234), simulateMatch(home, away, 1234));
+    assert.notDeepEqual(simulateMatch(home, away, 1234).innings, simulateMatch(home, away, 4321).innings);
+});
+
+test("no bowler goes past four overs", () => {
+    for (const seed of SEEDS) {
+        for (const innings of simulateMatch(home, away, seed).innings) {
+            innings.bowling.forEach(figures => assert.ok(figures.balls <= 4 * BALLS_PER_OVER, `${figures.name} bowled ${figures.balls} balls (seed ${seed})`));
+            assert.equal(innings.bowling.reduce((sum, figures) => sum + figures.balls, 0), innings.balls);
+        }
+    }
+});
+
+test("an innings ends at ten wickets or twenty overs", () => {
+    let allOuts = 0;
+    // A weak batting side against a strong attack gets bowled out as well as batting its overs out
+    const weak = makeSide("w", { bat: 10 });
+    const strong = makeSide("s", { bowl: 95, field: 90 });
+    for (const seed of SEEDS) {
+        const [first] = simulateMatch(weak, strong, seed).innings;
+        assert.ok(first.wickets <= 10 && first.balls <= OVERS_PER_INNINGS * BALLS_PER_OVER);
+        assert.ok(first.wickets === 10 || first.balls === OVERS_PER_INNINGS * BALLS_PER_OVER, `innings stopped early (seed ${seed})`);
+        assert.equal(first.allOut, first.wickets === 10);
+        if (first.allOut) allOuts++;
+    }
+    assert.ok(allOuts > 0 && allOuts < SEEDS.length, "both endings should occur");
+});
+
+test("the chase stops as soon as the target is passed", () => {
+    let chases = 0;
+    for (const seed of SEEDS) {
+        const match = simulateMatch(home, away, seed);
+        const [first, second] = match.innings;
+        if (second.runs <= first.runs) continue;
+        chases++;
+        // At most one scoring ball after the target was reached: a six from one run short
+        assert.ok(second.runs <= first.runs + 6, `chase went on to ${second.runs} against ${first.runs} (seed ${seed})`);
+        assert.equal(match.winnerId, second.battingTeamId);
+        assert.match(match.result, /won by \d+ wickets?$/);
+    }
+    assert.ok(chases > 0, "some chases should succeed");
+});
+
+test("the default batting order follows batting positions, then role and skill", () => {
+    const players = [
+        { id: "tail", role: "Bowler", bat: 40, battingPosition: "tail" },
+        { id: "bowler", role: "Bowler", bat: 20 },
+        { id: "finisher", role: "Batsman", bat: 70, battingPosition: "finisher" },
+        { id: "ar", role: "All-Rounder", bat: 50 },
+        { id: "middle", role: "Batsman", bat: 75, battingPosition: "middle" },
+        { id: "bat", role: "Batsman", bat: 80 },
+        { id: "wk", role: "Wicketkeeper", bat: 85 },
+        { id: "opener2", role: "Batsman", bat: 60, battingPosition: "opener" },
+        { id: "opener1", role: "Wicketkeeper", bat: 65, battingPosition: "opener" }
+    ];
+    assert.deepEqual(getDefaultBattingOrder(players).map(p => p.id), ["opener1", "opener2", "bat", "middle", "wk", "finisher", "ar", "tail", "bowler"]);
+});
+
+test("the venue changes the match and favours bowlers of its type", () => {
+    const spinners = makeSide("s", { bowlingType: "spin" });
+    const seamers = makeSide("p", { bowlingType: "pace" });
+    const wicketsBy = (venue, bowlingSide) => SEEDS.reduce((sum, seed) => {
+        const innings = simulateMatch(spinners, seamers, seed, venue).innings.find(i => i.bowlingTeamId === bowlingSide);
+        return sum + innings.wickets;
+    }, 0);
+
+    assert.deepEqual(simulateMatch(spinners, seamers, 99, "spin"), simulateMatch(spinners, seamers, 99, "spin"));
+    assert.notDeepEqual(simulateMatch(spinners, seamers, 99, "spin").innings, simulateMatch(spinners, seamers, 99, "pace").innings);
+    assert.ok(wicketsBy("spin", "s") > wicketsBy("pace", "s"), "spinners take more wickets on a turning pitch");
+    assert.ok(wicketsBy("pace", "p") > wicketsBy("spin", "p"), "seamers take more wickets on a pace pitch");
+    // Sides with no known bowling types play the same match everywhere
+    assert.deepEqual(simulateMatch(home, away, 99, "spin").innings, simulateMatch(home, away, 99, "neutral").innings);
+});
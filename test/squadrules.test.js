@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_ROLE_LIMITS, sanitizeRoleLimits, getSquadNeeds, checkComposition } = require("../squadrules");
+
+const player = (id, role, basePrice = 1) => ({ id, name: `P${id}`, role, basePrice });
+
+// 2 keepers and 3 bowlers needed; at most 4 batters
+const LIMITS = sanitizeRoleLimits({ WK: { min: 2 }, BOWL: { min: 3 }, BAT: { max: 4 } });
+const context = (upcoming = [], maxSquadSize = 8) => ({ maxSquadSize, upcoming, minPrice: 0.05 });
+
+test("sanitizeRoleLimits fills defaults, clamps values and keeps minimums inside the squad", () => {
+    assert.deepEqual(sanitizeRoleLimits(null), DEFAULT_ROLE_LIMITS);
+    assert.deepEqual(LIMITS.BAT, { min: 0, max: 4 });
+    assert.deepEqual(LIMITS.WK, { min: 2, max: null });
+
+    const limits = sanitizeRoleLimits({ WK: { min: 9, max: 1 }, BAT: { min: 9 }, AR: { min: "x", max: "" }, BOWL: { min: -3 } }, LIMITS, 11);
+    assert.deepEqual(limits.WK, { min: 9, max: 9 });
+    assert.equal(limits.BAT.min, 2, "only the places WK left over");
+    assert.deepEqual(limits.AR, { min: 0, max: null });
+    assert.equal(limits.BOWL.min, 0);
+});
+
+test("getSquadNeeds prices missing roles at the cheapest players still to come", () => {
+    const upcoming = [player("k1", "Wicketkeeper", 2), player("k2", "Wicketkeeper", 0.5), player("b1", "Bowler", 1)];
+    const needs = getSquadNeeds([player("1", "Wicketkeeper")], 10, LIMITS, context(upcoming));
+    assert.deepEqual(needs.missing, { WK: 1, BAT: 0, AR: 0, BOWL: 3 });
+    // One keeper at 0.5, one bowler at 1, two bowlers nobody is offering at the minimum price
+    assert.equal(needs.reserve, 1.6);
+    assert.equal(needs.slotsLeft, 7);
+    assert.equal(needs.feasible, true);
+    assert.equal(getSquadNeeds([], 1, LIMITS, context(upcoming)).feasible, false);
+});
+
+test("checkComposition refuses bids that leave the minimums out of reach", () => {
+    const upcoming = [player("k", "Wicketkeeper", 1), player("k2", "Wicketkeeper", 1), player("b", "Bowler", 1), player("b2", "Bowler", 1), player("b3", "Bowler", 1)];
+    const team = { squad: [player("1", "Batsman"), player("2", "Batsman")], purse: 10 };
+
+    assert.equal(checkComposition(team, player("3", "Batsman"), 4, LIMITS, context(upcoming)), null);
+    assert.match(checkComposition(team, player("3", "Batsman"), 6, LIMITS, context(upcoming)), /too little purse for the 2 wicketkeepers, 3 bowlers/);
+    assert.match(checkComposition(team, player("3", "All-Rounder"), 1, LIMITS, context(upcoming, 7)), /too few squad places/);
+
+    const fullOfBatters = { squad: [1, 2, 3, 4].map(i => player(String(i), "Batsman")), purse: 50 };
+    assert.match(checkComposition(fullOfBatters, player("5", "Batsman"), 1, LIMITS, context(upcoming, 20)), /maximum of 4 batters/);
+});
+
+test("a team already short of a minimum may still buy a player it needs", () => {
+    const team = { squad: [], purse: 3 };
+    const upcoming = [player("k", "Wicketkeeper", 2), player("b", "Bowler", 2)];
+    assert.equal(getSquadNeeds(team.squad, team.purse, LIMITS, context(upcoming)).feasible, false);
+    assert.equal(checkComposition(team, player("k0", "Wicketkeeper", 2), 2, LIMITS, context(upcoming)), null);
+    assert.notEqual(checkComposition(team, player("a", "All-Rounder", 1), 1, LIMITS, context(upcoming)), null);
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_ROLE_LIMITS, sanitizeRoleLimits } = require("../squadrules");
+const { checkProposal, checkTrade, describeTrade, applyTrade } = require("../trades");
+
+const player = (id, role = "Batsman", country = "India") => ({ id, name: `P${id}`, role, country });
+const team = (id, squad, purse = 10) => ({ id, name: id.toUpperCase(), squad, purse, isEliminated: false });
+const trade = (give, receive, cash = 0, extra = {}) => ({ id: 1, fromId: "a", toId: "b", give, receive, cash, status: "pending", ...extra });
+
+function makeRoom(config = {}) {
+    return {
+        config: { maxSquadSize: 4, minSquadToPlay: 3, maxOverseasSquad: 1, roleLimits: DEFAULT_ROLE_LIMITS, ...config },
+        teams: {
+            a: team("a", [player("a1"), player("a2"), player("a3", "Bowler", "Overseas")]),
+            b: team("b", [player("b1"), player("b2", "Bowler", "Overseas"), player("b3", "Wicketkeeper")], 2)
+        },
+        auction: { trades: [] }
+    };
+}
+
+test("checkProposal wants something from each side and a player moving", () => {
+    assert.equal(checkProposal(trade(["a1"], ["b1"])), null);
+    assert.equal(checkProposal(trade(["a1"], [], -1)), null);
+    assert.match(checkProposal(trade([], [])), /from each side/);
+    assert.match(checkProposal(trade(["a1"], [], 1)), /from each side/);
+    assert.match(checkProposal(trade(["1", "2", "3", "4"], ["b1"])), /At most 3/);
+});
+
+test("checkTrade returns the squads and purses after a legal trade", () => {
+    const room = makeRoom();
+    const { after, error } = checkTrade(room, trade(["a1"], ["b1"], 1.5));
+    assert.equal(error, undefined);
+    assert.deepEqual(after.a.squad.map(p => p.id), ["a2", "a3", "b1"]);
+    assert.deepEqual(after.b.squad.map(p => p.id), ["b2", "b3", "a1"]);
+    assert.equal(after.a.purse, 8.5);
+    assert.equal(after.b.purse, 3.5);
+    assert.deepEqual(describeTrade(room, trade(["a1"], ["b1"], 1.5)).message, "A send Pa1 + ₹1.5 Cr to B for Pb1");
+});
+
+test("checkTrade enforces squad size, overseas, role, purse and player rules", () => {
+    const room = makeRoom();
+    assert.match(checkTrade(room, trade([], ["b1"], -1)).error, /B would drop below the 3 players/);
+    assert.match(checkTrade(makeRoom({ maxSquadSize: 3 }), trade([], ["b1"], -1)).error, /A would be over the squad limit/);
+    assert.match(checkTrade(room, trade(["a1"], ["b2"])).error, /A would be over the overseas limit/);
+    assert.match(checkTrade(room, trade(["a1"], ["b1"], 11)).error, /A cannot afford/);
+    assert.match(checkTrade(room, trade(["a1"], ["b1"], -3)).error, /B cannot afford/);
+    assert.match(checkTrade(room, trade(["b1"], ["a1"])).error, /already moved/);
+    assert.match(checkTrade(room, trade(["a1"], ["b1"], 0, { toId: "__proto__" })).error, /no longer in the room/);
+
+    const capped = makeRoom({ roleLimits: sanitizeRoleLimits({ WK: { max: 0 } }) });
+    assert.match(checkTrade(capped, trade(["a1"], ["b3"])).error, /A would be over a role limit/);
+    // B already holds a keeper over the cap; trades that add no keeper still go through
+    assert.equal(checkTrade(capped, trade(["a1"], ["b1"])).error, undefined);
+});
+
+test("applyTrade swaps both sides at once and voids proposals it made impossible", () => {
+    const room = makeRoom();
+    const accepted = trade(["a1"], ["b1"], 1);
+    const stale = trade(["a1"], ["b3"], 0, { id: 2 });
+    const unaffected = trade(["a2"], ["b3"], 0, { id: 3 });
+    room.auction.trades.push(accepted, stale, unaffected);
+
+    const { give, receive, message } = applyTrade(room, accepted);
+    assert.deepEqual(give, [{ id: "a1", name: "Pa1" }]);
+    assert.deepEqual(receive, [{ id: "b1", name: "Pb1" }]);
+    assert.match(message, /^A send Pa1/);
+    assert.deepEqual(room.teams.a.squad.map(p => p.id), ["a2", "a3", "b1"]);
+    assert.equal(room.teams.b.purse, 3);
+    assert.deepEqual(room.auction.trades.map(t => t.status), ["accepted", "void", "pending"]);
+
+    const squads = JSON.stringify(room.teams);
+    assert.match(applyTrade(room, stale).error, /already moved/);
+    assert.equal(JSON.stringify(room.teams), squads, "a failed trade moves nothing");
+});
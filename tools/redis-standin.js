@@ -0,0 +1,260 @@
+// ==========================
+//  IN-MEMORY REDIS STAND-IN FOR LOCAL MULTI-INSTANCE RUNS
+// ==========================
+// Speaks just enough RESP for this server: strings with expiry, key scans, pub/sub for the
+// socket.io adapter, WATCH/MULTI/EXEC for profile updates and the room lease scripts. Not a general Redis; never use it in production.
+//
+//   node tools/redis-standin.js 6380
+//   REDIS_URL=redis://localhost:6380 PORT=3001 node server.js
+//   REDIS_URL=redis://localhost:6380 PORT=3002 node server.js
+
+const net = require("net");
+const crypto = require("crypto");
+const { LEASE_SCRIPTS } = require("../ownership");
+
+const sha1 = text => crypto.createHash("sha1").update(text).digest("hex");
+
+// The lease scripts, written out in JS; no other script can run here
+const SCRIPT_IMPLEMENTATIONS = {
+    [sha1(LEASE_SCRIPTS.claim)]: (db, [key], [owner, ttl]) => {
+        const current = db.get(key);
+        if (current && current.toString() === owner) return db.pexpire(key, Number(ttl));
+        if (current) return 0;
+        db.set(key, Buffer.from(owner), Date.now() + Number(ttl));
+        return 1;
+    },
+    [sha1(LEASE_SCRIPTS.renew)]: (db, [key], [owner, ttl]) => {
+        const current = db.get(key);
+        return current && current.toString() === owner ? db.pexpire(key, Number(ttl)) : 0;
+    },
+    [sha1(LEASE_SCRIPTS.release)]: (db, [key], [owner]) => {
+        const current = db.get(key);
+        return current && current.toString() === owner ? db.del(key) : 0;
+    }
+};
+
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    return new RegExp(`^${escaped}$`, "s");
+}
+
+// Keys hold Buffers so msgpack payloads from the adapter pass through untouched. Every change to
+// a key bumps its version, which is how EXEC tells whether a watched key moved.
+function createKeyspace() {
+    const entries = new Map();
+    const versions = new Map();
+    const touch = key => versions.set(key, (versions.get(key) || 0) + 1);
+
+    function live(key) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            touch(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    return {
+        get: key => { const entry = live(key); return entry ? entry.value : null; },
+        set: (key, value, expiresAt = null) => { entries.set(key, { value, expiresAt }); touch(key); },
+        del: key => (live(key) && entries.delete(key) && touch(key)) ? 1 : 0,
+        pexpire(key, ms) {
+            const entry = live(key);
+            if (!entry) return 0;
+            entry.expiresAt = Date.now() + ms;
+            touch(key);
+            return 1;
+        },
+        version: key => { live(key); return versions.get(key) || 0; },
+        keys: pattern => [...entries.keys()].filter(key => live(key) && globToRegExp(pattern).test(key))
+    };
+}
+
+// --- RESP ---
+
+function encode(value) {
+    if (value === null || value === undefined) return "$-1\r\n";
+    if (value.nullArray) return "*-1\r\n";
+    if (typeof value === "number") return `:${value}\r\n`;
+    if (Array.isArray(value)) return Buffer.concat([Buffer.from(`*${value.length}\r\n`), ...value.map(v => Buffer.from(encode(v)))]);
+    if (value.simple) return `+${value.simple}\r\n`;
+    if (value.error) return `-${value.error}\r\n`;
+    const body = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+    return Buffer.concat([Buffer.from(`$${body.length}\r\n`), body, Buffer.from("\r\n")]);
+}
+
+// Pulls complete commands (arrays of bulk strings) off the front of buffer
+function parseCommands(buffer) {
+    const commands = [];
+    let offset = 0;
+    const readLine = from => {
+        const end = buffer.indexOf("\r\n", from);
+        return end < 0 ? null : { line: buffer.toString("utf-8", from, end), next: end + 2 };
+    };
+    while (offset < buffer.length) {
+        const header = readLine(offset);
+        if (!header || header.line[0] !== "*") break;
+        const count = parseInt(header.line.slice(1), 10);
+        let cursor = header.next;
+        const args = [];
+        for (let i = 0; i < count; i++) {
+            const size = readLine(cursor);
+            if (!size) break;
+            const length = parseInt(size.line.slice(1), 10);
+            if (size.next + length + 2 > buffer.length) break;
+            args.push(buffer.subarray(size.next, size.next + length));
+            cursor = size.next + length + 2;
+        }
+        if (args.length < count) break;
+        commands.push(args);
+        offset = cursor;
+    }
+    return { commands, rest: buffer.subarray(offset) };
+}
+
+// --- SERVER ---
+
+function createRedisStandin() {
+    const db = createKeyspace();
+    const clients = new Set();
+
+    function publish(channel, message) {
+        let receivers = 0;
+        clients.forEach(client => {
+            if (client.channels.has(channel)) {
+                client.write(encode(["message", channel, message]));
+                receivers++;
+            }
+            client.patterns.forEach(pattern => {
+                if (!globToRegExp(pattern).test(channel)) return;
+                client.write(encode(["pmessage", pattern, channel, message]));
+                receivers++;
+            });
+        });
+        return receivers;
+    }
+
+    function runScript(sha, args) {
+        const script = SCRIPT_IMPLEMENTATIONS[sha];
+        if (!script) return { error: "NOSCRIPT No matching script. Please use EVAL." };
+        const keyCount = parseInt(args[0], 10);
+        return script(db, args.slice(1, 1 + keyCount), args.slice(1 + keyCount));
+    }
+
+    function subscription(client, kind, set, names) {
+        const targets = names.length ? names : [...set];
+        return targets.map(name => {
+            if (kind.startsWith("un") || kind.startsWith("pun")) set.delete(name);
+            else set.add(name);
+            return [kind, name, client.channels.size + client.patterns.size];
+        });
+    }
+
+    // Inside MULTI commands are queued; EXEC runs them only if no watched key changed since WATCH
+    function transaction(client, name, raw) {
+        switch (name) {
+            case "WATCH":
+                raw.slice(1).forEach(key => client.watched.set(key.toString(), db.version(key.toString())));
+                return { simple: "OK" };
+            case "UNWATCH":
+                client.watched.clear();
+                return { simple: "OK" };
+            case "MULTI":
+                client.queued = [];
+                return { simple: "OK" };
+            case "DISCARD":
+                client.queued = null;
+                client.watched.clear();
+                return { simple: "OK" };
+            case "EXEC": {
+                if (!client.queued) return { error: "ERR EXEC without MULTI" };
+                const queued = client.queued;
+                const changed = [...client.watched].some(([key, version]) => db.version(key) !== version);
+                client.queued = null;
+                client.watched.clear();
+                return changed ? { nullArray: true } : queued.map(command => execute(client, command));
+            }
+            default:
+                client.queued.push(raw);
+                return { simple: "QUEUED" };
+        }
+    }
+
+    function execute(client, raw) {
+        const name = raw[0].toString().toUpperCase();
+        if (["WATCH", "UNWATCH", "MULTI", "DISCARD", "EXEC"].includes(name) || client.queued) return transaction(client, name, raw);
+        const args = raw.slice(1).map(arg => arg.toString());
+        switch (name) {
+            case "PING": return args.length ? raw[1] : { simple: "PONG" };
+            case "ECHO": return raw[1];
+            case "SELECT": case "CLIENT": return { simple: "OK" };
+            case "INFO": return "# Server\r\nredis_version:7.0.0-standin\r\nloading:0\r\n";
+            case "QUIT": client.end(encode({ simple: "OK" })); return undefined;
+            case "GET": return db.get(args[0]);
+            case "MGET": return args.map(key => db.get(key));
+            case "DEL": return args.reduce((sum, key) => sum + db.del(key), 0);
+            case "SET": {
+                const options = args.slice(2).map(a => a.toUpperCase());
+                let expiresAt = null;
+                const ex = options.indexOf("EX"), px = options.indexOf("PX");
+                if (ex >= 0) expiresAt = Date.now() + Number(args[2 + ex + 1]) * 1000;
+                if (px >= 0) expiresAt = Date.now() + Number(args[2 + px + 1]);
+                const exists = db.get(args[0]) !== null;
+                if ((options.includes("NX") && exists) || (options.includes("XX") && !exists)) return null;
+                db.set(args[0], raw[2], expiresAt);
+                return { simple: "OK" };
+            }
+            case "PEXPIRE": return db.pexpire(args[0], Number(args[1]));
+            case "EXPIRE": return db.pexpire(args[0], Number(args[1]) * 1000);
+            case "SCAN": {
+                // Everything comes back in one page, which any SCAN caller accepts
+                const match = args.findIndex(a => a.toUpperCase() === "MATCH");
+                return ["0", db.keys(match >= 0 ? args[match + 1] : "*")];
+            }
+            case "PUBLISH": return publish(args[0], raw[2]);
+            case "SUBSCRIBE": return subscription(client, "subscribe", client.channels, args);
+            case "UNSUBSCRIBE": return subscription(client, "unsubscribe", client.channels, args);
+            case "PSUBSCRIBE": return subscription(client, "psubscribe", client.patterns, args);
+            case "PUNSUBSCRIBE": return subscription(client, "punsubscribe", client.patterns, args);
+            case "PUBSUB": {
+                if (args[0].toUpperCase() !== "NUMSUB") return { error: "ERR only PUBSUB NUMSUB is supported" };
+                return args.slice(1).flatMap(channel => [channel, [...clients].filter(c => c.channels.has(channel)).length]);
+            }
+            case "EVALSHA": return runScript(args[0], args.slice(1));
+            case "EVAL": return runScript(sha1(args[0]), args.slice(1));
+            default: return { error: `ERR unknown command '${name}' for the stand-in` };
+        }
+    }
+
+    const server = net.createServer(client => {
+        client.channels = new Set();
+        client.patterns = new Set();
+        client.watched = new Map();
+        client.queued = null;
+        clients.add(client);
+        let pending = Buffer.alloc(0);
+
+        client.on("data", chunk => {
+            const { commands, rest } = parseCommands(Buffer.concat([pending, chunk]));
+            pending = rest;
+            commands.forEach(command => {
+                const reply = execute(client, command);
+                if (reply === undefined) return;
+                // Subscribe commands answer once per channel
+                if (/^P?(UN)?SUBSCRIBE$/i.test(command[0].toString())) reply.forEach(r => client.write(encode(r)));
+                else client.write(encode(reply));
+            });
+        });
+        client.on("close", () => clients.delete(client));
+        client.on("error", () => clients.delete(client));
+    });
+    return server;
+}
+
+module.exports = { createRedisStandin };
+
+if (require.main === module) {
+    const port = Number(process.argv[2] || process.env.REDIS_STANDIN_PORT || 6379);
+    createRedisStandin().listen(port, () => console.log(`Redis stand-in listening on redis://localhost:${port}`));
+}
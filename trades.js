@@ -0,0 +1,98 @@
+// ==========================
+//  TRADES BETWEEN TEAMS
+// ==========================
+// Each side of a trade gives up to MAX_TRADE_PLAYERS players; cash > 0 is paid by the
+// proposer, cash < 0 by the other team. A trade is { fromId, toId, give, receive, cash, status }.
+
+const { ROLE_GROUPS } = require("./squadrules");
+const { countRoles } = require("./scoring");
+
+const MAX_TRADE_PLAYERS = 3;
+// Open proposals one team may have at a time
+const MAX_PENDING_TRADES = 5;
+
+// What is wrong with the shape of a proposal, before any squad is looked at; null when nothing is
+function checkProposal(trade) {
+    if (trade.give.length > MAX_TRADE_PLAYERS || trade.receive.length > MAX_TRADE_PLAYERS) return `At most ${MAX_TRADE_PLAYERS} players on each side of a trade.`;
+    // Both sides have to give something, and at least one player has to move
+    if (trade.give.length + trade.receive.length === 0 || (trade.give.length === 0 && trade.cash <= 0) || (trade.receive.length === 0 && trade.cash >= 0)) {
+        return "A trade needs a player or cash from each side.";
+    }
+    return null;
+}
+
+// The squads and purses after the trade, or { error } when it would break a squad rule
+function checkTrade(room, trade) {
+    const from = Object.hasOwn(room.teams, trade.fromId) ? room.teams[trade.fromId] : null;
+    const to = Object.hasOwn(room.teams, trade.toId) ? room.teams[trade.toId] : null;
+    if (!from || !to) return { error: "That team is no longer in the room." };
+    if (from.isEliminated || to.isEliminated) return { error: "Eliminated teams cannot trade." };
+
+    const outgoing = trade.give.map(id => from.squad.find(p => p.id === id));
+    const incoming = trade.receive.map(id => to.squad.find(p => p.id === id));
+    if (outgoing.includes(undefined) || incoming.includes(undefined)) return { error: "A player in this trade has already moved." };
+
+    const after = {
+        [from.id]: { squad: [...from.squad.filter(p => !trade.give.includes(p.id)), ...incoming], purse: parseFloat((from.purse - trade.cash).toFixed(2)) },
+        [to.id]: { squad: [...to.squad.filter(p => !trade.receive.includes(p.id)), ...outgoing], purse: parseFloat((to.purse + trade.cash).toFixed(2)) }
+    };
+    for (const team of [from, to]) {
+        const { squad, purse } = after[team.id];
+        if (squad.length > room.config.maxSquadSize) return { error: `${team.name} would be over the squad limit.` };
+        // A squad that is shrinking may not fall below what it takes to play
+        if (squad.length < team.squad.length && squad.length < room.config.minSquadToPlay) {
+            return { error: `${team.name} would drop below the ${room.config.minSquadToPlay} players needed to play.` };
+        }
+        if (squad.filter(p => p.country === "Overseas").length > room.config.maxOverseasSquad) return { error: `${team.name} would be over the overseas limit.` };
+        const counts = countRoles(squad);
+        const previous = countRoles(team.squad);
+        const limits = room.config.roleLimits;
+        if (ROLE_GROUPS.some(g => limits[g].max !== null && counts[g] > limits[g].max && counts[g] > previous[g])) return { error: `${team.name} would be over a role limit.` };
+        if (purse < 0) return { error: `${team.name} cannot afford this trade.` };
+    }
+    return { after };
+}
+
+// Player names on each side and a one-line summary; only valid while both squads still hold them
+function describeTrade(room, trade) {
+    const from = room.teams[trade.fromId];
+    const to = room.teams[trade.toId];
+    const names = (team, ids) => ids.map(id => team.squad.find(p => p.id === id).name);
+    const side = (team, ids, cash) => [...names(team, ids), ...(cash > 0 ? [`₹${cash} Cr`] : [])].join(" + ") || "nothing";
+    return {
+        give: trade.give.map((id, i) => ({ id, name: names(from, trade.give)[i] })),
+        receive: trade.receive.map((id, i) => ({ id, name: names(to, trade.receive)[i] })),
+        message: `${from.name} send ${side(from, trade.give, trade.cash)} to ${to.name} for ${side(to, trade.receive, -trade.cash)}`
+    };
+}
+
+/**
+ * All or nothing: the trade is checked again against the current squads before anything moves.
+ * Returns { error }, or describeTrade's result once both squads and purses have been swapped.
+ * Pending proposals the swap made impossible are voided.
+ */
+function applyTrade(room, trade) {
+    const { after, error } = checkTrade(room, trade);
+    if (error) return { error };
+
+    const description = describeTrade(room, trade);
+    [trade.fromId, trade.toId].forEach(teamId => {
+        room.teams[teamId].squad = after[teamId].squad;
+        room.teams[teamId].purse = after[teamId].purse;
+    });
+    trade.status = "accepted";
+    // Proposals built on a player who just moved, or cash that was just spent, cannot go through now
+    room.auction.trades.forEach(t => {
+        if (t.status === "pending" && checkTrade(room, t).error) t.status = "void";
+    });
+    return description;
+}
+
+module.exports = {
+    MAX_TRADE_PLAYERS,
+    MAX_PENDING_TRADES,
+    checkProposal,
+    checkTrade,
+    describeTrade,
+    applyTrade
+};